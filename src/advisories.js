@@ -0,0 +1,108 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// Advisory ingestion: turns OSV records and GitHub Security Advisory exports into the same
+// { package, version, advisory_id } rows that readInput produces from CSV.
+
+async function listJsonFiles(dir) {
+  // Recursive so a checkout of github/advisory-database (nested by year/month) works as-is
+  const out = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const p = join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...(await listJsonFiles(p)));
+    else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) out.push(p);
+  }
+  return out.sort();
+}
+
+function osvRangeToSpec(range) {
+  // OSV events are ordered: each "introduced" opens an interval closed by the next
+  // "fixed" (exclusive) or "last_affected" (inclusive); an open interval runs to the end.
+  const specs = [];
+  let lower = null;
+  for (const ev of range?.events || []) {
+    if (ev.introduced !== undefined) {
+      lower = ev.introduced === '0' ? '>=0.0.0-0' : `>=${ev.introduced}`;
+    } else if (ev.fixed !== undefined && lower) {
+      specs.push(`${lower} <${ev.fixed}`);
+      lower = null;
+    } else if (ev.last_affected !== undefined && lower) {
+      specs.push(`${lower} <=${ev.last_affected}`);
+      lower = null;
+    }
+  }
+  if (lower) specs.push(lower);
+  return specs;
+}
+
+function ghsaRangeToSpec(range) {
+  // GitHub writes "< 1.2.3, >= 1.0.0"; semver wants space-separated comparators
+  return String(range || '')
+    .split(',')
+    .map((c) => c.trim().replace(/^(<=|>=|<|>|=)\s+/, '$1'))
+    .filter(Boolean)
+    .join(' ');
+}
+
+function isNpmEcosystem(ecosystem) {
+  return String(ecosystem || '').toLowerCase() === 'npm';
+}
+
+function rowsFromOsv(adv) {
+  const rows = [];
+  for (const affected of adv.affected || []) {
+    if (!isNpmEcosystem(affected?.package?.ecosystem) || !affected.package.name) continue;
+    const specs = [];
+    for (const range of affected.ranges || []) {
+      // GIT ranges are commit hashes and cannot be mapped onto registry versions
+      if (range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+        specs.push(...osvRangeToSpec(range));
+    }
+    specs.push(...(affected.versions || []));
+    rows.push({ package: affected.package.name, version: specs.join('|'), advisory_id: adv.id });
+  }
+  return rows;
+}
+
+function rowsFromGhsa(adv) {
+  const rows = [];
+  for (const vuln of adv.vulnerabilities || []) {
+    if (!isNpmEcosystem(vuln?.package?.ecosystem) || !vuln.package.name) continue;
+    rows.push({
+      package: vuln.package.name,
+      version: ghsaRangeToSpec(vuln.vulnerable_version_range),
+      advisory_id: adv.ghsa_id,
+    });
+  }
+  return rows;
+}
+
+export function rowsFromAdvisory(adv) {
+  if (!adv || typeof adv !== 'object') return [];
+  if (adv.withdrawn || adv.withdrawn_at) return [];
+  // GitHub REST exports carry ghsa_id + vulnerabilities; everything else is treated as OSV
+  // (including the OSV files in github/advisory-database).
+  if (adv.ghsa_id && Array.isArray(adv.vulnerabilities)) return rowsFromGhsa(adv);
+  if (Array.isArray(adv.affected)) return rowsFromOsv(adv);
+  return [];
+}
+
+export function isAdvisoryInput(file, isDirectory) {
+  return isDirectory || file.toLowerCase().endsWith('.json');
+}
+
+export async function readAdvisories(abs) {
+  const s = await stat(abs);
+  const files = s.isDirectory() ? await listJsonFiles(abs) : [abs];
+  const rows = [];
+  for (const file of files) {
+    let doc;
+    try {
+      doc = JSON.parse(await readFile(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to parse advisory ${file}: ${e?.message || e}`);
+    }
+    for (const adv of Array.isArray(doc) ? doc : [doc]) rows.push(...rowsFromAdvisory(adv));
+  }
+  return rows;
+}
@@ -0,0 +1,449 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import pLimit from 'p-limit';
+import { checkpointKey } from './checkpoint.js';
+import { contactsOf } from './contacts.js';
+import { fetchAllDependents } from './discovery.js';
+import { DEFAULT_TIMEOUT_MS, getPackageMetadata } from './http.js';
+import { createResolver, impactedVersionsOf } from './resolver.js';
+import { fetchPopularity, scoreRisk } from './risk.js';
+import { inspectShipped } from './tarball.js';
+import { DEPENDENT_CONTACT_ROW, DEPENDENT_ROW, makeRow } from './schema.js';
+import { declaredSpec, UNRESOLVABLE } from './specs.js';
+import {
+  earliestPublishedAt,
+  expandCompromisedVersions,
+  extractLastUpdate,
+  findDependencyRange,
+  isCompromised,
+  isExactPin,
+  satisfies,
+  toDateSafe,
+} from './versions.js';
+
+function isoOrEmpty(date) {
+  return date ? date.toISOString() : '';
+}
+
+function inWindow(at, window) {
+  if (!at || !(window?.from || window?.until)) return false;
+  return (!window.from || at >= window.from) && (!window.until || at <= window.until);
+}
+
+function declaredRanges(meta, targetName, includeDev, includePeer) {
+  // Every version declaring targetName, oldest first; dependencies win over peer and dev
+  const time = meta?.time || {};
+  const out = [];
+  for (const [version, man] of Object.entries(meta?.versions || {})) {
+    const dep = declaredSpec(man?.dependencies, targetName);
+    const peer = includePeer && declaredSpec(man?.peerDependencies, targetName);
+    const dev = includeDev && declaredSpec(man?.devDependencies, targetName);
+    const range = dep || peer || dev;
+    if (!range) continue;
+    const dependencyType = dep ? 'dep' : peer ? 'peer' : 'dev';
+    out.push({ version, range, dependencyType, isDev: dependencyType === 'dev' });
+  }
+  return out.sort((a, b) =>
+    String(time[a.version] || '').localeCompare(String(time[b.version] || '')),
+  );
+}
+
+export async function processPackage(
+  targetName,
+  targetVersion,
+  includeDev,
+  includePeer,
+  limit,
+  maxDependents,
+  onRow,
+  args,
+  checkpoint = null,
+  window = null,
+) {
+  const key = checkpointKey(targetName, targetVersion);
+  // Progress goes to args.log, e.g. stderr when rows stream to stdout
+  const log = args.log || console.log;
+  // With a checkpoint, --max caps dependents processed per run (the next chunk), not discovery
+  let budget = checkpoint && maxDependents ? maxDependents : Infinity;
+  let remaining = 0;
+  // Fetch target package metadata once for blast-radius computations
+  let targetMeta = null;
+  try {
+    targetMeta = await getPackageMetadata(targetName, args.timeout);
+  } catch (e) {
+    if (!args.quiet)
+      console.warn(`[${targetName}] failed to fetch target metadata: ${e?.message || e}`);
+  }
+  const targetTimeMap = targetMeta?.time || null;
+  // A compromise window dates exact versions the registry no longer lists
+  const compromisedVersions = expandCompromisedVersions(targetVersion, targetTimeMap, {
+    keepUnlisted: !!(window?.from || window?.until),
+  });
+  const unlisted = targetTimeMap ? compromisedVersions.filter((v) => !(v in targetTimeMap)) : [];
+  if (!args.quiet && targetVersion && compromisedVersions.length === 0)
+    console.warn(`[${targetName}] version spec "${targetVersion}" matched no published versions`);
+  else if (!args.quiet && unlisted.length > 0)
+    console.warn(
+      `[${targetName}] ${unlisted.join(', ')} not in the registry's version history; dated by the compromise window`,
+    );
+  if (args.verbose && compromisedVersions.length > 0)
+    log(`[${targetName}] compromised versions: ${compromisedVersions.join(', ')}`);
+  // With several compromised versions, the compromise starts at the earliest of them
+  // (or at the start of the compromise window when the timeline no longer has them)
+  const compromisedPublishedAt =
+    earliestPublishedAt(compromisedVersions, targetTimeMap) || isoOrEmpty(window?.from);
+
+  // Breadth-first walk: hop 1 is the input package itself; each later hop is a dependent that
+  // was found impacted on the previous hop, with its impacted versions as the "compromised" set.
+  const maxDepth = Math.max(1, args.depth || 1);
+  const schema = args.contacts ? DEPENDENT_CONTACT_ROW : DEPENDENT_ROW;
+  const visited = new Set([targetName]);
+  let frontier = [
+    {
+      name: targetName,
+      path: [targetName],
+      resolver: createResolver(targetMeta),
+      compromised: compromisedVersions,
+      // Only the source package has a compromise window; later hops use impacted versions
+      window,
+    },
+  ];
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const node of frontier) {
+      const label = node.path.join('>');
+      if (!node.resolver) {
+        // Frontier rebuilt from a checkpoint: fetch the package metadata again
+        try {
+          node.resolver = createResolver(await getPackageMetadata(node.name, args.timeout));
+        } catch (e) {
+          if (!args.quiet) console.warn(`[${label}] failed to fetch metadata: ${e?.message || e}`);
+          node.resolver = createResolver(null);
+        }
+      }
+      const saved = checkpoint?.discovered(key, label);
+      let discovered;
+      let sources;
+      if (saved) {
+        discovered = saved.names;
+        sources = new Map(Object.entries(saved.sources));
+        if (!args.quiet) log(`[${label}] ${discovered.length} dependents from checkpoint`);
+      } else {
+        if (!args.quiet) log(`[${label}] discovering dependents…`);
+        let stats;
+        ({
+          names: discovered,
+          stats,
+          sources,
+        } = await fetchAllDependents(
+          node.name,
+          includeDev,
+          includePeer,
+          checkpoint ? 0 : maxDependents,
+          args.verbose,
+          {
+            noLibraries: args.noLibraries,
+            noScrape: args.noScrape,
+            timeoutMs: args.timeout,
+            index: args.index,
+            privatePackages: args.privatePackages,
+            sources: args.sources,
+            sourcesMode: args.sourcesMode,
+            log,
+          },
+        ));
+        checkpoint?.setDiscovered(key, label, discovered, sources);
+        if (!args.quiet)
+          log(
+            `[${label}] found ${discovered.length} dependents (${Object.entries(stats)
+              .map(([source, n]) => `${source}:${n}`)
+              .join(', ')})`,
+          );
+      }
+      // De-duplicate across hops: a package is reported once, on the shortest path found first.
+      const fresh = discovered.filter((d) => !visited.has(d));
+      for (const d of fresh) visited.add(d);
+      if (!args.quiet && fresh.length < discovered.length)
+        log(`[${label}] ${discovered.length - fresh.length} already visited`);
+      // Rows already written in an earlier run are skipped; the ones that were followed still
+      // extend the next hop.
+      const pending = [];
+      for (const d of fresh) {
+        const prev = checkpoint?.row(key, d);
+        if (prev?.status !== 'ok' && prev?.status !== 'empty') pending.push(d);
+        else if (prev.follow && depth < maxDepth) next.push({ name: d, ...prev.follow });
+      }
+      const dependents = pending.slice(0, budget);
+      budget -= dependents.length;
+      remaining += pending.length - dependents.length;
+      if (!args.quiet && checkpoint && fresh.length > pending.length)
+        log(`[${label}] ${fresh.length - pending.length} dependents already done`);
+      // Progress per hop node for library callers (the serve API reports it per job)
+      let done = 0;
+      args.onProgress?.({ path: label, depth, processed: 0, total: dependents.length });
+      await Promise.all(
+        dependents.map((depName, idx) =>
+          limit(async () => {
+            const path = [...node.path, depName];
+            // Columns shared by success and error rows; everything else defaults per the schema
+            const baseRow = {
+              source_package: targetName,
+              source_version: targetVersion,
+              dependent: depName,
+              dependent_source: sources?.get(depName),
+              compromised_versions: node.compromised.join('|'),
+              depth,
+              path: path.join('>'),
+            };
+            let follow = null;
+            try {
+              const meta = await getPackageMetadata(depName, args.timeout);
+              const found = findDependencyRange(meta, node.name, includeDev, includePeer);
+              const shared = {
+                ...baseRow,
+                dependent_latest_version: found.latestVersion,
+                last_update: extractLastUpdate(meta),
+                compromised_published_at: compromisedPublishedAt,
+                compromised_from: isoOrEmpty(node.window?.from),
+                compromised_until: isoOrEmpty(node.window?.until),
+                ...(args.contacts ? contactsOf(meta) : {}),
+              };
+              const assess = async (version, range, dependencyType, isDev) => {
+                // Blast-radius columns for one dependent version declaring range on node.name
+                const publishedAt = version ? meta?.time?.[version] || '' : '';
+                const at = toDateSafe(publishedAt);
+                const { kind, atRelease, now } = range
+                  ? node.resolver.resolve(range, at, {
+                      compromised: node.compromised,
+                      window: node.window,
+                    })
+                  : { kind: '', atRelease: null, now: null };
+                // git, tarball and local specs install code the registry knows nothing about
+                const unresolvable = !!range && !now;
+                const verdict = (resolution) =>
+                  unresolvable
+                    ? UNRESOLVABLE
+                    : isCompromised(resolution?.version, node.compromised);
+                let likelyImpactedAtRelease = verdict(atRelease);
+                let stillImpactedNow = verdict(now);
+                // A version that ships its own copy (shrinkwrap or bundled) installs exactly
+                // that copy, whatever the range would resolve to
+                let shipped = null;
+                if (args.inspectTarballs && range && !isDev) {
+                  try {
+                    shipped = await inspectShipped(
+                      meta.versions?.[version],
+                      node.name,
+                      args.timeout,
+                    );
+                  } catch (e) {
+                    if (!args.quiet)
+                      console.warn(
+                        `[${label}] ${depName}@${version} tarball not inspected: ${e?.message || e}`,
+                      );
+                  }
+                }
+                if (shipped) {
+                  likelyImpactedAtRelease = isCompromised(shipped.version, node.compromised);
+                  stillImpactedNow = likelyImpactedAtRelease;
+                }
+                return {
+                  ...shared,
+                  dependent_version_range: range,
+                  spec_kind: kind,
+                  dependency_type: dependencyType,
+                  is_dev_dependency: isDev,
+                  source_version_satisfies: unresolvable
+                    ? UNRESOLVABLE
+                    : !!range && node.compromised.some((c) => satisfies(c, range)),
+                  published_in_window: inWindow(at, node.window),
+                  dependent_version_published_at: publishedAt,
+                  resolved_at_dependent_release: atRelease?.version,
+                  resolved_now: now?.version,
+                  resolution_notes: [
+                    ...(atRelease?.notes || []).map((n) => `at release: ${n}`),
+                    ...(now?.notes || []).map((n) => `now: ${n}`),
+                  ].join('; '),
+                  likely_impacted_at_release: likelyImpactedAtRelease,
+                  still_impacted_now: stillImpactedNow,
+                  uses_exact_pin:
+                    node.compromised.length > 0
+                      ? node.compromised.some((c) => isExactPin(range, c))
+                      : isExactPin(range, ''),
+                  shipped_version: shipped?.version,
+                  shipped_via: shipped?.via,
+                };
+              };
+              let rows;
+              if (args.allVersions) {
+                // One row per version whose range resolved to a compromised version when it
+                // was published, or that was published inside the compromise window with a
+                // range admitting one
+                rows = [];
+                for (const d of declaredRanges(meta, node.name, includeDev, includePeer)) {
+                  const values = await assess(d.version, d.range, d.dependencyType, d.isDev);
+                  values.dependent_matched_version = d.version;
+                  if (
+                    values.likely_impacted_at_release === true ||
+                    (values.published_in_window && values.source_version_satisfies === true)
+                  )
+                    rows.push(values);
+                }
+              } else {
+                // Timing falls back to latest when no version declares the dependency
+                const values = await assess(
+                  found.matchedVersion || found.latestVersion || '',
+                  found.range,
+                  found.dependencyType,
+                  found.isDev,
+                );
+                values.dependent_matched_version = found.matchedVersion;
+                rows = [values];
+              }
+              // Popularity is only looked up for impacted rows; the rest score 0 anyway
+              const impacted = rows.filter(
+                (r) => r.likely_impacted_at_release === true || r.still_impacted_now === true,
+              );
+              if (impacted.length > 0) {
+                const popularity = await fetchPopularity(depName, {
+                  index: args.index,
+                  timeoutMs: args.timeout,
+                });
+                for (const values of impacted) {
+                  values.weekly_downloads = popularity.weeklyDownloads;
+                  values.dependents_count = popularity.dependents;
+                  Object.assign(values, scoreRisk(values, popularity));
+                }
+              }
+              for (const values of rows) onRow(makeRow(schema, values));
+              if (depth < maxDepth && impacted.some((r) => !r.is_dev_dependency)) {
+                const compromised = impactedVersionsOf(
+                  meta,
+                  node.name,
+                  node.resolver,
+                  node.compromised,
+                  includePeer,
+                  node.window,
+                );
+                if (compromised.length > 0) {
+                  next.push({ name: depName, path, resolver: createResolver(meta), compromised });
+                  follow = { path, compromised };
+                }
+              }
+              // 'empty': done, but --all-versions found no impacted version to write a row for
+              checkpoint?.markRow(key, depName, rows.length > 0 ? 'ok' : 'empty', follow);
+            } catch (e) {
+              onRow(makeRow(schema, { ...baseRow, error: String(e?.message || e) }));
+              checkpoint?.markRow(key, depName, 'error');
+            }
+            done++;
+            args.onProgress?.({ path: label, depth, processed: done, total: dependents.length });
+            if (!args.quiet) {
+              const processed = idx + 1;
+              if (processed % (args.progress || 25) === 0 || processed === dependents.length) {
+                log(`[${label}] processed ${processed}/${dependents.length}`);
+              }
+            }
+            await delay(50);
+          }),
+        ),
+      );
+    }
+    if (!args.quiet && depth < maxDepth && next.length > 0)
+      log(`[${targetName}] depth ${depth + 1}: following ${next.length} impacted dependents`);
+    frontier = next;
+  }
+  if (!args.quiet && remaining > 0)
+    log(
+      `[${targetName}] ${remaining} dependents not processed yet (--max ${maxDependents}); rerun with --resume for the next chunk`,
+    );
+}
+
+const DEFAULT_OPTIONS = {
+  includeDev: false,
+  includePeer: true,
+  maxDependents: 0,
+  depth: 1,
+  concurrency: 8,
+  timeout: DEFAULT_TIMEOUT_MS,
+  progress: 25,
+  quiet: true,
+  verbose: false,
+  noLibraries: false,
+  noScrape: false,
+  sources: null,
+  sourcesMode: 'fallback',
+  privatePackages: null,
+  index: null,
+  contacts: false,
+  inspectTarballs: false,
+  allVersions: false,
+  onProgress: null,
+  log: null,
+};
+
+export async function* analyzeBlastRadius({
+  package: name,
+  versions = '',
+  advisoryId = '',
+  compromisedFrom = null,
+  compromisedUntil = null,
+  options = {},
+}) {
+  // Library entry point: the same analysis as the CLI for one source package, yielding rows
+  // as they are produced. Rows are buffered if the consumer is slower than the analysis.
+  if (!name) throw new Error('analyzeBlastRadius: "package" is required');
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!Number.isInteger(opts.depth) || opts.depth < 1)
+    throw new Error('analyzeBlastRadius: "depth" must be a positive integer');
+  const spec = Array.isArray(versions) ? versions.join('|') : String(versions || '');
+  const limit = opts.limit || pLimit(opts.concurrency);
+  const queue = [];
+  let finished = false;
+  let failure = null;
+  let wake = null;
+  const notify = () => {
+    if (wake) wake();
+  };
+  processPackage(
+    name,
+    spec,
+    opts.includeDev,
+    opts.includePeer,
+    limit,
+    opts.maxDependents,
+    (row) => {
+      queue.push({ ...row, advisory_id: advisoryId });
+      notify();
+    },
+    opts,
+    opts.checkpoint || null,
+    compromisedFrom || compromisedUntil
+      ? {
+          from: compromisedFrom ? new Date(compromisedFrom) : null,
+          until: compromisedUntil ? new Date(compromisedUntil) : null,
+        }
+      : null,
+  ).then(
+    () => {
+      finished = true;
+      notify();
+    },
+    (e) => {
+      failure = e;
+      finished = true;
+      notify();
+    },
+  );
+  while (true) {
+    if (queue.length > 0) {
+      yield queue.shift();
+      continue;
+    }
+    if (finished) break;
+    await new Promise((res) => {
+      wake = res;
+    });
+    wake = null;
+  }
+  if (failure) throw failure;
+}
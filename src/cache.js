@@ -0,0 +1,92 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { gunzip as gunzipCb, gzip as gzipCb } from 'node:zlib';
+
+const gzip = promisify(gzipCb);
+const gunzip = promisify(gunzipCb);
+
+export function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'npm-blast-radius');
+}
+
+function keyFor(url) {
+  return createHash('sha256').update(url).digest('hex');
+}
+
+function redactUrl(url) {
+  // Libraries.io puts the API key in the query string; never persist it
+  return url.replace(/([?&]api_key=)[^&]*/i, '$1REDACTED');
+}
+
+// On-disk HTTP response cache. Each URL maps to a gzipped body plus a small JSON sidecar with
+// the validators (ETag / Last-Modified) used to revalidate it once it is older than ttlMs.
+export function createHttpCache({ dir = defaultCacheDir(), ttlMs = 0, offline = false } = {}) {
+  const pathsFor = (url) => {
+    const key = keyFor(url);
+    const sub = join(dir, key.slice(0, 2));
+    return { sub, meta: join(sub, `${key}.json`), body: join(sub, `${key}.gz`) };
+  };
+
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tmp, data);
+    await rename(tmp, file);
+  }
+
+  async function writeMeta(url, meta) {
+    const p = pathsFor(url);
+    await mkdir(p.sub, { recursive: true });
+    await writeAtomic(p.meta, JSON.stringify(meta));
+  }
+
+  return {
+    dir,
+    offline,
+
+    async read(url) {
+      const p = pathsFor(url);
+      try {
+        const meta = JSON.parse(await readFile(p.meta, 'utf8'));
+        const body = (await gunzip(await readFile(p.body))).toString('utf8');
+        return { ...meta, body };
+      } catch {
+        return null;
+      }
+    },
+
+    async write(url, { etag, lastModified, body }) {
+      const p = pathsFor(url);
+      await mkdir(p.sub, { recursive: true });
+      await writeAtomic(p.body, await gzip(body));
+      await writeMeta(url, {
+        url: redactUrl(url),
+        storedAt: new Date().toISOString(),
+        etag: etag || null,
+        lastModified: lastModified || null,
+      });
+    },
+
+    // A 304 confirms the cached body is current; restart its TTL without rewriting the body
+    async touch(url, entry) {
+      const { body, ...meta } = entry;
+      await writeMeta(url, { ...meta, storedAt: new Date().toISOString() });
+    },
+
+    isFresh(entry) {
+      if (!entry || !ttlMs) return false;
+      const storedAt = Date.parse(entry.storedAt);
+      return Number.isFinite(storedAt) && Date.now() - storedAt < ttlMs;
+    },
+
+    conditionalHeaders(entry) {
+      const headers = {};
+      if (entry?.etag) headers['if-none-match'] = entry.etag;
+      if (entry?.lastModified) headers['if-modified-since'] = entry.lastModified;
+      return headers;
+    },
+  };
+}
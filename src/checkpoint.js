@@ -0,0 +1,97 @@
+import { readFileSync, renameSync, writeFileSync } from 'node:fs';
+
+// Checkpoint for long runs. Per source package (name + version spec) it records the full
+// discovered dependent list for every package searched, and which dependents already have a
+// row in the output: 'ok' rows are skipped on --resume, 'error' rows are retried. Dependents
+// that were followed to the next hop keep their path and impacted versions so a resumed
+// --depth walk can rebuild its frontier without re-processing them.
+
+const CHECKPOINT_VERSION = 1;
+
+export function checkpointKey(name, versionSpec) {
+  return `${name}@${versionSpec || ''}`;
+}
+
+export function openCheckpoint(file, { resume = false, options = {} } = {}) {
+  let state = null;
+  if (resume) {
+    try {
+      state = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e?.code !== 'ENOENT')
+        throw new Error(`Cannot read checkpoint ${file}: ${e?.message || e}`);
+    }
+    if (state && state.version !== CHECKPOINT_VERSION)
+      throw new Error(`Unsupported checkpoint version ${state.version} in ${file}`);
+    if (state && JSON.stringify(state.options) !== JSON.stringify(options))
+      console.warn(
+        `checkpoint ${file} was written with different options (${JSON.stringify(state.options)}); resuming anyway`,
+      );
+  }
+  const resumed = !!state;
+  state = state || { version: CHECKPOINT_VERSION, options, sources: {} };
+
+  let dirty = false;
+  let lastSave = 0;
+
+  const source = (key) => {
+    if (!state.sources[key]) state.sources[key] = { discovered: {}, rows: {} };
+    return state.sources[key];
+  };
+
+  function flush() {
+    if (!dirty) return;
+    // Synchronous so it can also run from signal handlers on the way out
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(state));
+    renameSync(tmp, file);
+    dirty = false;
+    lastSave = Date.now();
+  }
+
+  function touch() {
+    dirty = true;
+    if (Date.now() - lastSave > 1000) flush();
+  }
+
+  return {
+    file,
+    resumed,
+
+    discovered(key, label) {
+      return state.sources[key]?.discovered[label] || null;
+    },
+
+    setDiscovered(key, label, names, sources) {
+      source(key).discovered[label] = { names, sources: Object.fromEntries(sources || []) };
+      touch();
+    },
+
+    row(key, dependent) {
+      return state.sources[key]?.rows[dependent] || null;
+    },
+
+    markRow(key, dependent, status, follow = null) {
+      source(key).rows[dependent] = follow ? { status, follow } : { status };
+      touch();
+    },
+
+    // Marks 'ok' rows that isPresent(key, dependent) cannot find in the output as missing, so
+    // they are processed again (e.g. the process died before the output stream was flushed).
+    invalidateMissing(isPresent) {
+      let n = 0;
+      for (const [key, s] of Object.entries(state.sources)) {
+        for (const [dependent, r] of Object.entries(s.rows)) {
+          if (r.status === 'ok' && !isPresent(key, dependent)) {
+            s.rows[dependent] = { status: 'missing' };
+            n++;
+          }
+        }
+      }
+      if (n > 0) touch();
+      return n;
+    },
+
+    flush,
+  };
+}
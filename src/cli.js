@@ -0,0 +1,1169 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { appendFile, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, dirname, relative, resolve } from 'node:path';
+import pLimit from 'p-limit';
+import { Command, InvalidArgumentError } from 'commander';
+import { createRequire } from 'node:module';
+import { processPackage } from './analyze.js';
+import { createHttpCache, defaultCacheDir } from './cache.js';
+import { checkpointKey, openCheckpoint } from './checkpoint.js';
+import { openResultsDb } from './db.js';
+import {
+  DEFAULT_CHANGES_URL,
+  defaultIndexDir,
+  followChanges,
+  openDependencyIndex,
+} from './depindex.js';
+import { diffRows, formatTable, summarizeDiff } from './diff.js';
+import { createGraph, graphFormat, writeGraph } from './graph.js';
+import {
+  DEFAULT_TIMEOUT_MS,
+  configureHttpCache,
+  configureRegistries,
+  requestReport,
+} from './http.js';
+import { readInput, readPackageList } from './input.js';
+import { findLockfiles, readLockfile } from './lockfiles.js';
+import { createRegistries, readNpmrc } from './npmrc.js';
+import {
+  FORMATS,
+  defaultOutputPath,
+  filterRows,
+  formatFromPath,
+  openRowWriter,
+  readRows,
+} from './output.js';
+import { DEFAULT_TEMPLATE, writeOutreachDrafts } from './outreach.js';
+import { DEFAULT_SOURCES, PROVIDERS, SOURCES_MODES, resolveSources } from './providers.js';
+import { compileQuery, readResults } from './query.js';
+import { compareRisk } from './risk.js';
+import { createServer } from './server.js';
+import { createImpactSummary, formatSummaryTable, summaryFormat, writeSummary } from './summary.js';
+import { postWebhook, watchImpacted } from './watch.js';
+import { DEPENDENT_CONTACT_ROW, DEPENDENT_ROW, DIFF_ROW, SCAN_ROW, makeRow } from './schema.js';
+import { versionMatchesSpec } from './versions.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+const DEFAULT_CONCURRENCY = Number(process.env.CONCURRENCY || 8);
+const DEFAULT_CACHE_TTL_S = Number(process.env.CACHE_TTL || 3600);
+const DEFAULT_PACKAGE_CONCURRENCY = Number(process.env.PACKAGE_CONCURRENCY || 1);
+
+const SOURCES_HELP = `discovery sources in order: ${PROVIDERS.map((p) => p.name).join(', ')} (default: ${DEFAULT_SOURCES.join(',')}, less any --no-libraries / --no-scrape)`;
+const PRIVATE_PACKAGES_HELP =
+  'also look for dependents among the packages listed in this file (one per line), e.g. private ones';
+const WHERE_HELP =
+  'write only rows matching this expression, e.g. "still_impacted_now && dependency_type != \'dev\'"';
+const SORT_HELP = 'sort rows by these columns before writing them, e.g. risk_score:desc,dependent';
+const COLUMNS_HELP = 'write only these columns, in this order (csv, ndjson and json)';
+const SUMMARY_HELP =
+  'write impact statistics per source package and compromised version to this .json or .md file (also printed)';
+const GRAPH_HELP =
+  'write packages and dependency edges to a Graphviz (.dot), GraphML (.graphml) or Cytoscape (.json) file';
+const SOURCES_MODE_HELP = `${SOURCES_MODES.join(' or ')}: ask later sources only while earlier ones found nothing (or fewer than --max), or always`;
+
+// Option parsers: a usage error instead of NaN reaching the analysis
+function positiveInt(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new InvalidArgumentError('Expected a positive integer.');
+  return n;
+}
+
+function nonNegativeInt(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0)
+    throw new InvalidArgumentError('Expected a non-negative integer.');
+  return n;
+}
+
+function resolveOutput(opts, base) {
+  // --format wins; otherwise infer it from the output extension, defaulting to CSV
+  const format = (opts.format || formatFromPath(opts.output) || 'csv').toLowerCase();
+  return { format, output: opts.output || defaultOutputPath(base, format) };
+}
+
+function parseArgs(argv) {
+  const program = new Command();
+  program
+    .name('npm-blast-radius')
+    .description(
+      'Map the blast radius of compromised npm packages (direct dependents, attribution, and timing signals).',
+    )
+    .version(pkg.version || '0.0.0')
+    // Keep -i/-o etc. of the main command from swallowing the same flags after a subcommand
+    .enablePositionalOptions();
+
+  program.option(
+    '-i, --input <file>',
+    'input CSV (columns: package,version), OSV/GitHub advisory JSON, or a directory of advisories',
+  );
+  program.option('-o, --output <file>', 'output path, - for stdout (default: dependents.<format>)');
+  program.option(
+    '-f, --format <format>',
+    `output format: ${FORMATS.join(', ')} (default: from the output extension, else csv)`,
+  );
+  program.option('--max <n>', 'cap dependents per source package', nonNegativeInt, 0);
+  program.option(
+    '-c, --concurrency <n>',
+    'concurrent HTTP requests',
+    positiveInt,
+    DEFAULT_CONCURRENCY,
+  );
+  program.option(
+    '--package-concurrency <n>',
+    'input packages analyzed at once (they share --concurrency)',
+    positiveInt,
+    DEFAULT_PACKAGE_CONCURRENCY,
+  );
+  program.option('--include-dev', 'include devDependencies when attributing usage', false);
+  program.option('--no-peer', 'exclude peerDependencies (included by default)');
+  program.option('--append', 'append to output (skip header if file exists)', false);
+  program.option(
+    '--checkpoint <file>',
+    'record discovery and progress for --resume (default with --resume: <output>.checkpoint.json)',
+  );
+  program.option(
+    '--resume',
+    'continue an interrupted or chunked run from its checkpoint, appending to the output',
+    false,
+  );
+  program.option(
+    '--depth <n>',
+    'follow impacted dependents transitively up to N hops (1 = direct dependents only)',
+    positiveInt,
+    1,
+  );
+  program.option(
+    '--sort-by <key>',
+    'sort rows before writing them: risk (highest risk_score first)',
+  );
+  program.option('--where <expr>', WHERE_HELP);
+  program.option('--sort <columns>', SORT_HELP);
+  program.option('--columns <list>', COLUMNS_HELP);
+  program.option(
+    '--top <n>',
+    'write only the first N rows: the highest-risk ones, or the first by --sort',
+    nonNegativeInt,
+  );
+  program.option('--summary <file>', SUMMARY_HELP);
+  program.option('--graph <file>', GRAPH_HELP);
+  program.option(
+    '--db <file>',
+    'also upsert rows into this SQLite database (needs the optional better-sqlite3 package)',
+  );
+  program.option('--progress <n>', 'log every N dependents processed', nonNegativeInt, 25);
+  program.option(
+    '--report <file>',
+    'write a JSON run report (timing, rows, requests, retries and throttling per host)',
+  );
+  program.option('--quiet', 'minimal logging', false);
+  program.option('--verbose', 'extra diagnostics about discovery sources', false);
+  program.option(
+    '--all-versions',
+    'one row per dependent version that resolved to a compromised version when published',
+    false,
+  );
+  program.option(
+    '--inspect-tarballs',
+    "download dependents' tarballs that ship a shrinkwrap or bundled dependencies to find the version they ship",
+    false,
+  );
+  program.option(
+    '--contacts',
+    'add maintainer, repository, bugs, homepage and funding columns for outreach',
+    false,
+  );
+  program.option('--no-libraries', 'disable Libraries.io fallback');
+  program.option('--no-scrape', 'disable npm website scraping fallback');
+  program.option('--sources <list>', SOURCES_HELP);
+  program.option('--sources-mode <mode>', SOURCES_MODE_HELP, 'fallback');
+  program.option('--private-packages <file>', PRIVATE_PACKAGES_HELP);
+  program.option('--no-npmrc', 'ignore .npmrc registries and credentials');
+  program.option(
+    '--timeout <ms>',
+    'HTTP request timeout in milliseconds',
+    positiveInt,
+    DEFAULT_TIMEOUT_MS,
+  );
+
+  program.option(
+    '--cache-dir <dir>',
+    'directory for the on-disk packument/discovery cache',
+    process.env.CACHE_DIR || defaultCacheDir(),
+  );
+  program.option('--no-cache', 'disable the on-disk cache');
+  program.option(
+    '--cache-ttl <seconds>',
+    'serve cached responses without revalidating for this long',
+    nonNegativeInt,
+    DEFAULT_CACHE_TTL_S,
+  );
+  program.option('--offline', 'serve only from the cache; rows without cached data fail', false);
+  program.option(
+    '--index-dir <dir>',
+    'reverse-dependency index built by the index subcommand (used for discovery when present)',
+    process.env.INDEX_DIR || defaultIndexDir(),
+  );
+  program.option('--no-index', 'do not use the reverse-dependency index for discovery');
+
+  program.addHelpText(
+    'after',
+    `\nOutput CSV columns:\n  See docs/data-dictionary.md for the complete list and definitions.\n`,
+  );
+
+  let parsed = null;
+  program.action(() => {
+    // Checked here rather than with requiredOption so subcommands don't inherit it
+    if (!program.opts().input)
+      program.error("error: required option '-i, --input <file>' not specified");
+    parsed = { command: 'analyze' };
+  });
+
+  program
+    .command('scan')
+    .description(
+      'check project lockfiles (npm, yarn, pnpm) for installed compromised versions from the input',
+    )
+    .argument('<paths...>', 'project directories or lockfiles to scan')
+    .requiredOption(
+      '-i, --input <file>',
+      'input CSV (columns: package,version), OSV/GitHub advisory JSON, or a directory of advisories',
+    )
+    .option('-o, --output <file>', 'output path (default: scan.<format>)')
+    .option(
+      '-f, --format <format>',
+      `output format: ${FORMATS.join(', ')} (default: from the output extension, else csv)`,
+    )
+    .option('--append', 'append to output (skip header if file exists)', false)
+    .option('-r, --recursive', 'also search subdirectories (skipping node_modules) for lockfiles')
+    .option('--quiet', 'minimal logging', false)
+    .action((paths, opts) => {
+      parsed = {
+        command: 'scan',
+        paths,
+        input: opts.input,
+        ...resolveOutput(opts, 'scan'),
+        append: !!opts.append,
+        recursive: !!opts.recursive,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('index')
+    .description(
+      'build or update the local reverse-dependency index from a CouchDB-style _changes feed',
+    )
+    .option('--index-dir <dir>', 'index directory', process.env.INDEX_DIR || defaultIndexDir())
+    .option(
+      '--feed <url>',
+      '_changes feed URL (the public replicate endpoint or a local mirror)',
+      DEFAULT_CHANGES_URL,
+    )
+    .option('--since <seq>', 'start at this feed sequence instead of the saved one (0 = rebuild)')
+    .option('--batch <n>', 'changes per feed request', positiveInt, 500)
+    .option(
+      '--max-changes <n>',
+      'stop after N changes (default: when caught up)',
+      nonNegativeInt,
+      0,
+    )
+    .option(
+      '--include-docs',
+      'ask the feed for documents inline (CouchDB mirrors) instead of fetching packuments',
+      false,
+    )
+    .option('--follow', 'keep polling for new changes after catching up', false)
+    .option('--interval <seconds>', 'poll interval with --follow', positiveInt, 60)
+    .option(
+      '-c, --concurrency <n>',
+      'concurrent packument fetches',
+      positiveInt,
+      DEFAULT_CONCURRENCY,
+    )
+    .option(
+      '--timeout <ms>',
+      'HTTP request timeout in milliseconds',
+      positiveInt,
+      DEFAULT_TIMEOUT_MS,
+    )
+    .option('--quiet', 'minimal logging', false)
+    .action((opts) => {
+      parsed = {
+        command: 'index',
+        indexDir: opts.indexDir,
+        feed: opts.feed,
+        since: opts.since,
+        batch: opts.batch,
+        maxChanges: opts.maxChanges,
+        includeDocs: !!opts.includeDocs,
+        follow: !!opts.follow,
+        interval: opts.interval,
+        concurrency: opts.concurrency,
+        timeout: opts.timeout,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('outreach')
+    .description('write a Markdown issue/email draft per impacted dependent of an analysis output')
+    .argument('<results>', 'csv, ndjson or json output of an analysis run made with --contacts')
+    .option('-o, --output <dir>', 'directory for the drafts', 'outreach')
+    .option('-f, --format <format>', 'format of <results> (default: from its extension, else csv)')
+    .option('--template <file>', 'Markdown template with {{column}} placeholders')
+    .option('--all', 'write drafts for every dependent, not only impacted ones', false)
+    .option('--quiet', 'minimal logging', false)
+    .action((results, opts) => {
+      parsed = {
+        command: 'outreach',
+        results,
+        output: opts.output,
+        format: opts.format?.toLowerCase(),
+        template: opts.template,
+        all: !!opts.all,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('diff')
+    .description(
+      'compare two analysis outputs: new, gone, remediated, regressed and changed dependents',
+    )
+    .argument('<before>', 'earlier csv, ndjson or json output')
+    .argument('<after>', 'later csv, ndjson or json output')
+    .option('-o, --output <file>', 'output path (default: diff.<format>)')
+    .option(
+      '-f, --format <format>',
+      `output format: ${FORMATS.join(', ')} (default: from the output extension, else csv)`,
+    )
+    .option('--all', 'also write unchanged dependents', false)
+    .option('--quiet', 'minimal logging', false)
+    .action((before, after, opts) => {
+      parsed = {
+        command: 'diff',
+        before,
+        after,
+        ...resolveOutput(opts, 'diff'),
+        all: !!opts.all,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('query')
+    .description('filter, sort and select columns of an existing output without fetching anything')
+    .argument('<results>', 'csv, ndjson or json output of an analysis, scan or diff')
+    .option('-o, --output <file>', 'output path (default: stdout)')
+    .option(
+      '-f, --format <format>',
+      `output format: ${FORMATS.join(', ')} (default: from the output extension, else csv)`,
+    )
+    .option(
+      '--input-format <format>',
+      'format of <results> (default: from its extension, else csv)',
+    )
+    .option('--where <expr>', WHERE_HELP)
+    .option('--sort <columns>', SORT_HELP)
+    .option('--columns <list>', COLUMNS_HELP)
+    .option('--top <n>', 'write only the first N rows', nonNegativeInt)
+    .option('--summary <file>', SUMMARY_HELP)
+    .option('--graph <file>', GRAPH_HELP)
+    .option('--quiet', 'minimal logging', false)
+    .action((results, opts) => {
+      parsed = {
+        command: 'query',
+        results,
+        format: (opts.format || formatFromPath(opts.output) || 'csv').toLowerCase(),
+        output: opts.output || '-',
+        inputFormat: opts.inputFormat?.toLowerCase(),
+        where: opts.where,
+        sort: opts.sort,
+        columns: opts.columns,
+        top: opts.top || 0,
+        summary: opts.summary,
+        graph: opts.graph,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('watch')
+    .description(
+      'poll still-impacted dependents of an analysis output and report remediations and new dependents',
+    )
+    .argument('<results>', 'csv, ndjson or json output of an analysis run')
+    .option('--events <file>', 'NDJSON file events are appended to', 'watch-events.ndjson')
+    .option('--webhook <url>', 'also POST each event as JSON to this URL')
+    .option('--interval <seconds>', 'seconds between checks', positiveInt, 300)
+    .option('--once', 'check once and exit', false)
+    .option('--no-discover', 'only re-check impacted dependents, without looking for new ones')
+    .option('--include-dev', 'discovery includes devDependencies', false)
+    .option('--no-peer', 'discovery excludes peerDependencies')
+    .option('--no-libraries', 'skip the Libraries.io source during discovery')
+    .option('--no-scrape', 'skip the npm website scraping fallback during discovery')
+    .option('--sources <list>', SOURCES_HELP)
+    .option('--sources-mode <mode>', SOURCES_MODE_HELP, 'fallback')
+    .option('--private-packages <file>', PRIVATE_PACKAGES_HELP)
+    .option('--no-npmrc', 'ignore .npmrc registries and credentials')
+    .option('-c, --concurrency <n>', 'concurrent packument fetches', positiveInt, 4)
+    .option(
+      '--timeout <ms>',
+      'HTTP request timeout in milliseconds',
+      positiveInt,
+      DEFAULT_TIMEOUT_MS,
+    )
+    .option('--cache-dir <dir>', 'HTTP cache directory', process.env.CACHE_DIR || defaultCacheDir())
+    .option('--no-cache', 'do not revalidate packuments against the HTTP cache')
+    .option(
+      '--index-dir <dir>',
+      'reverse-dependency index directory',
+      process.env.INDEX_DIR || defaultIndexDir(),
+    )
+    .option('--no-index', 'do not use the reverse-dependency index for discovery')
+    .option('--quiet', 'only log events', false)
+    .action((results, opts) => {
+      parsed = {
+        command: 'watch',
+        results,
+        events: opts.events,
+        webhook: opts.webhook,
+        interval: opts.interval,
+        once: !!opts.once,
+        discover: opts.discover !== false,
+        includeDev: !!opts.includeDev,
+        includePeer: opts.peer !== false,
+        noLibraries: opts.libraries === false,
+        noScrape: opts.scrape === false,
+        sources: opts.sources,
+        sourcesMode: opts.sourcesMode,
+        privatePackages: opts.privatePackages,
+        npmrc: opts.npmrc !== false,
+        concurrency: opts.concurrency,
+        timeout: opts.timeout,
+        cache: opts.cache !== false,
+        cacheDir: opts.cacheDir,
+        index: opts.index !== false,
+        indexDir: opts.indexDir,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program
+    .command('serve')
+    .description('run analyses submitted over a REST API, sharing one request limiter and cache')
+    .option('--port <n>', 'port to listen on', nonNegativeInt, Number(process.env.PORT || 8080))
+    .option('--host <host>', 'interface to bind', '127.0.0.1')
+    .option(
+      '-c, --concurrency <n>',
+      'concurrent HTTP requests across all jobs',
+      positiveInt,
+      DEFAULT_CONCURRENCY,
+    )
+    .option('--jobs <n>', 'analyses run at once; later ones queue', positiveInt, 2)
+    .option('--keep <n>', 'finished jobs kept in memory with their rows', nonNegativeInt, 100)
+    .option('--max <n>', 'cap dependents per job', nonNegativeInt, 0)
+    .option('--max-depth <n>', 'deepest depth a job may ask for', positiveInt, 3)
+    .option('--queue <n>', 'analyses waiting to run; more are refused with 503', positiveInt, 100)
+    .option('--token <token>', 'require this bearer token (default: SERVE_TOKEN)')
+    .option('--no-libraries', 'disable Libraries.io fallback')
+    .option('--no-scrape', 'disable npm website scraping fallback')
+    .option('--sources <list>', SOURCES_HELP)
+    .option('--sources-mode <mode>', SOURCES_MODE_HELP, 'fallback')
+    .option('--private-packages <file>', PRIVATE_PACKAGES_HELP)
+    .option('--no-npmrc', 'ignore .npmrc registries and credentials')
+    .option(
+      '--timeout <ms>',
+      'HTTP request timeout in milliseconds',
+      positiveInt,
+      DEFAULT_TIMEOUT_MS,
+    )
+    .option('--cache-dir <dir>', 'HTTP cache directory', process.env.CACHE_DIR || defaultCacheDir())
+    .option('--no-cache', 'disable the on-disk cache')
+    .option(
+      '--cache-ttl <seconds>',
+      'serve cached responses without revalidating for this long',
+      nonNegativeInt,
+      DEFAULT_CACHE_TTL_S,
+    )
+    .option(
+      '--index-dir <dir>',
+      'reverse-dependency index directory',
+      process.env.INDEX_DIR || defaultIndexDir(),
+    )
+    .option('--no-index', 'do not use the reverse-dependency index for discovery')
+    .option('--quiet', 'minimal logging', false)
+    .action((opts) => {
+      parsed = {
+        command: 'serve',
+        port: opts.port,
+        host: opts.host,
+        concurrency: opts.concurrency,
+        jobs: opts.jobs,
+        keep: opts.keep,
+        maxDependents: opts.max,
+        maxDepth: opts.maxDepth,
+        maxQueued: opts.queue,
+        token: opts.token || process.env.SERVE_TOKEN || '',
+        noLibraries: opts.libraries === false,
+        noScrape: opts.scrape === false,
+        sources: opts.sources,
+        sourcesMode: opts.sourcesMode,
+        privatePackages: opts.privatePackages,
+        npmrc: opts.npmrc !== false,
+        timeout: opts.timeout,
+        cache: opts.cache !== false,
+        cacheDir: opts.cacheDir,
+        cacheTtl: opts.cacheTtl,
+        index: opts.index !== false,
+        indexDir: opts.indexDir,
+        quiet: !!opts.quiet,
+      };
+    });
+
+  program.parse(argv);
+  if (parsed && parsed.command !== 'analyze') return parsed;
+  const opts = program.opts();
+  // Normalize option names to existing code expectations
+  return {
+    command: 'analyze',
+    input: opts.input,
+    ...resolveOutput(opts, 'dependents'),
+    maxDependents: opts.max,
+    depth: opts.depth,
+    concurrency: opts.concurrency,
+    packageConcurrency: opts.packageConcurrency,
+    includeDev: !!opts.includeDev,
+    includePeer: opts.peer !== false, // commander sets opts.peer when using --no-peer
+    append: !!opts.append,
+    checkpoint: opts.checkpoint,
+    resume: !!opts.resume,
+    progress: opts.progress,
+    report: opts.report,
+    summary: opts.summary,
+    graph: opts.graph,
+    db: opts.db,
+    quiet: !!opts.quiet,
+    verbose: !!opts.verbose,
+    contacts: !!opts.contacts,
+    inspectTarballs: !!opts.inspectTarballs,
+    allVersions: !!opts.allVersions,
+    sortBy: opts.sortBy || (opts.top && !opts.sort ? 'risk' : null),
+    top: opts.top || 0,
+    where: opts.where,
+    sort: opts.sort,
+    columns: opts.columns,
+    timeout: opts.timeout,
+    // commander stores --no-libraries / --no-scrape as libraries=false / scrape=false
+    noLibraries: opts.libraries === false,
+    noScrape: opts.scrape === false,
+    sources: opts.sources,
+    sourcesMode: opts.sourcesMode,
+    privatePackages: opts.privatePackages,
+    npmrc: opts.npmrc !== false,
+    cache: opts.cache !== false,
+    cacheDir: opts.cacheDir,
+    cacheTtl: opts.cacheTtl,
+    offline: !!opts.offline,
+    index: opts.index !== false,
+    indexDir: opts.indexDir,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  // Every subcommand that fetches packuments goes through the .npmrc registries
+  const npmrc = args.npmrc === false ? { config: {}, files: [] } : readNpmrc();
+  configureRegistries(
+    createRegistries(npmrc.config, {
+      registry: process.env.NPM_REGISTRY,
+      token: process.env.NPM_TOKEN,
+    }),
+  );
+  if (args.verbose && npmrc.files.length > 0) runLog(args)(`Read ${npmrc.files.join(', ')}`);
+  // Read once; a path in args becomes the list of names
+  if (args.privatePackages) args.privatePackages = await readPackageList(args.privatePackages);
+  if (args.command === 'scan') return runScan(args);
+  if (args.command === 'index') return runIndex(args);
+  if (args.command === 'outreach') return runOutreach(args);
+  if (args.command === 'diff') return runDiff(args);
+  if (args.command === 'query') return runQuery(args);
+  if (args.command === 'watch') return runWatch(args);
+  if (args.command === 'serve') return runServe(args);
+  if (args.offline && !args.cache)
+    throw new Error('--offline requires the cache (drop --no-cache)');
+  checkSources(args);
+  if (args.cache) {
+    configureHttpCache(
+      createHttpCache({
+        dir: resolve(process.cwd(), args.cacheDir),
+        ttlMs: Math.max(0, args.cacheTtl || 0) * 1000,
+        offline: args.offline,
+      }),
+    );
+  }
+  // The index only adds to discovery; analysis works the same without one
+  // Messages stay off stdout when the rows go there
+  args.log = runLog(args);
+  args.index = args.index ? await openDependencyIndex(resolve(process.cwd(), args.indexDir)) : null;
+  if (args.index && !args.quiet)
+    args.log(
+      `Using dependency index ${args.index.dir} (${args.index.packages} packages, updated ${args.index.updatedAt})`,
+    );
+  const inputRows = await readInput(args.input);
+  const limit = pLimit(args.concurrency);
+
+  const toStdout = args.output === '-';
+  const outPath = toStdout ? '-' : resolve(process.cwd(), args.output);
+  let checkpoint = null;
+  let append = args.append;
+  if (args.sortBy && args.sortBy !== 'risk')
+    throw new Error(`Unknown --sort-by "${args.sortBy}" (expected: risk)`);
+  if (args.sortBy && args.sort) throw new Error('--sort-by cannot be combined with --sort');
+  const schema = args.contacts ? DEPENDENT_CONTACT_ROW : DEPENDENT_ROW;
+  const query = compileQuery(args, schema);
+  if (args.summary) summaryFormat(args.summary);
+  if (args.graph) graphFormat(args.graph);
+  // Results are keyed by dependent; several rows per dependent would overwrite each other
+  if (args.db && args.allVersions) throw new Error('--db cannot be combined with --all-versions');
+  const compare = query.compare || (args.sortBy ? compareRisk : null);
+  // Resuming needs every row of the output and the columns identifying them
+  if ((compare || query.filter || query.columns) && (args.resume || args.checkpoint))
+    throw new Error(
+      '--sort-by/--sort/--top/--where/--columns cannot be combined with --resume/--checkpoint',
+    );
+  if (toStdout && (args.resume || args.checkpoint || args.append))
+    throw new Error('--resume/--checkpoint/--append need an output file, not stdout');
+  if (args.resume || args.checkpoint) {
+    if (args.format !== 'csv' && args.format !== 'ndjson')
+      throw new Error('--resume/--checkpoint require csv or ndjson output');
+    checkpoint = openCheckpoint(
+      resolve(process.cwd(), args.checkpoint || `${args.output}.checkpoint.json`),
+      {
+        resume: args.resume,
+        options: {
+          depth: args.depth,
+          includeDev: args.includeDev,
+          includePeer: args.includePeer,
+          ...(args.allVersions ? { allVersions: true } : {}),
+        },
+      },
+    );
+    if (checkpoint.resumed) {
+      append = true;
+      await reconcileOutput(outPath, args.format, checkpoint, args.quiet);
+    }
+  }
+  const writer = await openRowWriter(outPath, {
+    schema,
+    format: args.format,
+    append,
+    columns: query.columns,
+  });
+  // Sorting needs every row, so they are buffered and written at the end instead of streamed
+  const sorted = compare ? [] : null;
+  const summary = createImpactSummary();
+  const graph = args.graph ? createGraph() : null;
+  const db = args.db
+    ? await openResultsDb(resolve(process.cwd(), args.db), {
+        input: args.input,
+        options: runOptions(args),
+      })
+    : null;
+  const onRow = (row) => {
+    if (query.filter && !query.filter(row)) return;
+    summary.add(row);
+    graph?.addRow(row);
+    db?.write(row);
+    if (sorted) sorted.push(row);
+    else writer.write(row);
+  };
+  if (checkpoint || db) {
+    // Make what was written durable before exiting on Ctrl-C so --resume picks up from here
+    const onSignal = async () => {
+      await writer.close();
+      checkpoint?.flush();
+      db?.close();
+      process.exit(130);
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+  }
+
+  const startedAt = new Date();
+  // Input packages run --package-concurrency at a time; their requests share one limiter
+  const packages = pLimit(Math.max(1, args.packageConcurrency || 1));
+  await Promise.all(
+    inputRows.map((row) =>
+      packages(() =>
+        processPackage(
+          row.package,
+          row.version,
+          args.includeDev,
+          args.includePeer,
+          limit,
+          args.maxDependents,
+          (r) => onRow({ ...r, advisory_id: row.advisory_id || '' }),
+          args,
+          checkpoint,
+          compromiseWindow(row),
+        ),
+      ),
+    ),
+  );
+
+  if (sorted) {
+    sorted.sort(compare);
+    for (const row of args.top > 0 ? sorted.slice(0, args.top) : sorted) writer.write(row);
+  }
+  await writer.close();
+  checkpoint?.flush();
+  db?.close();
+  let impact = summary.result();
+  if (checkpoint?.resumed) {
+    // The reconciled output also holds the rows of earlier invocations
+    const whole = createImpactSummary();
+    for (const row of await readRows(outPath, schema, args.format)) whole.add(row);
+    impact = whole.result();
+  }
+  await reportSummary(args, impact);
+  if (graph) await exportGraph(args, graph);
+  await reportRun(args, { startedAt, packages: inputRows.length, rows: writer.count });
+  args.log(
+    `Wrote ${writer.count} rows to ${toStdout ? 'stdout' : outPath}${writer.wroteHeader ? ' (with header)' : ''}`,
+  );
+  if (db) args.log(`Upserted ${db.count} rows into ${db.file} (run ${db.runId})`);
+}
+
+function runOptions(args) {
+  // The options that shape results, recorded with each database run
+  const keys = [
+    'output',
+    'format',
+    'maxDependents',
+    'depth',
+    'includeDev',
+    'includePeer',
+    'contacts',
+    'inspectTarballs',
+    'sources',
+    'sourcesMode',
+    'noLibraries',
+    'noScrape',
+    'offline',
+    'resume',
+    'where',
+  ];
+  return Object.fromEntries(keys.filter((k) => args[k] != null).map((k) => [k, args[k]]));
+}
+
+function runLog(args) {
+  // console.log, or console.error when rows are written to stdout (-o -)
+  return args.output === '-' ? console.error : console.log;
+}
+
+async function reportSummary(args, summary) {
+  // Printed unless --quiet (or when rows go to stdout), written with --summary
+  if (!args.quiet && args.output !== '-' && summary.length > 0)
+    console.log(formatSummaryTable(summary));
+  if (!args.summary) return;
+  const file = resolve(process.cwd(), args.summary);
+  await writeSummary(file, summary);
+  if (!args.quiet) runLog(args)(`Wrote summary to ${file}`);
+}
+
+async function exportGraph(args, graph) {
+  const file = resolve(process.cwd(), args.graph);
+  await writeGraph(file, graph);
+  if (!args.quiet)
+    runLog(args)(
+      `Wrote graph of ${graph.nodes.size} packages and ${graph.edges.size} edges to ${file}`,
+    );
+}
+
+async function reportRun(args, { startedAt, packages, rows }) {
+  // Requests per host, printed unless --quiet and written as JSON with --report
+  const hosts = requestReport();
+  const log = runLog(args);
+  if (!args.quiet && hosts.length > 0)
+    log(
+      formatTable(
+        hosts.map((h) => ({
+          host: h.host,
+          requests: h.requests,
+          cached: h.cached,
+          not_modified: h.not_modified,
+          retries: h.retries,
+          throttled: h.throttled,
+          failed: h.failed,
+          throttled_s: Math.round(h.throttled_ms / 100) / 10,
+        })),
+      ),
+    );
+  if (!args.report) return;
+  const finishedAt = new Date();
+  const report = {
+    tool: { name: pkg.name, version: pkg.version },
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_s: Math.round((finishedAt - startedAt) / 100) / 10,
+    packages,
+    rows,
+    hosts,
+  };
+  const file = resolve(process.cwd(), args.report);
+  await writeFile(file, JSON.stringify(report, null, 2) + '\n');
+  if (!args.quiet) log(`Wrote run report to ${file}`);
+}
+
+function checkSources(args) {
+  // Fail before any work rather than once per source package
+  resolveSources(args.sources, args);
+  if (!SOURCES_MODES.includes(args.sourcesMode))
+    throw new Error(
+      `Unknown --sources-mode "${args.sourcesMode}" (expected: ${SOURCES_MODES.join(', ')})`,
+    );
+}
+
+function compromiseWindow(row) {
+  if (!row.compromised_from && !row.compromised_until) return null;
+  return {
+    from: row.compromised_from ? new Date(row.compromised_from) : null,
+    until: row.compromised_until ? new Date(row.compromised_until) : null,
+  };
+}
+
+async function reconcileOutput(outPath, format, checkpoint, quiet) {
+  // The output must hold exactly the rows of dependents the checkpoint marks 'ok' (one each,
+  // or one per dependent version with --all-versions): previous error rows (about to be
+  // retried), rows written after the last checkpoint save, and duplicates are dropped; 'ok'
+  // rows missing from the output are processed again.
+  const present = new Set();
+  const seen = new Set();
+  let dropped = 0;
+  const exists = await stat(outPath).then(
+    () => true,
+    () => false,
+  );
+  if (exists) {
+    dropped = await filterRows(outPath, format, (row) => {
+      const key = checkpointKey(row.source_package, row.source_version);
+      const id = `${key}\u0000${row.dependent}`;
+      const rowId = `${id}\u0000${row.dependent_matched_version}`;
+      if (seen.has(rowId) || checkpoint.row(key, row.dependent)?.status !== 'ok') return false;
+      seen.add(rowId);
+      present.add(id);
+      return true;
+    });
+  }
+  const missing = checkpoint.invalidateMissing((key, dependent) =>
+    present.has(`${key}\u0000${dependent}`),
+  );
+  if (!quiet)
+    console.log(
+      `Resuming from ${checkpoint.file}: ${seen.size} rows kept, ${dropped} dropped for retry` +
+        (missing ? `, ${missing} missing from output` : ''),
+    );
+}
+
+async function runIndex(args) {
+  const dir = resolve(process.cwd(), args.indexDir);
+  const index = await openDependencyIndex(dir, { create: true });
+  if (!args.quiet)
+    console.log(
+      `Indexing ${args.feed} into ${dir} from sequence ${args.since ?? index.since} (${index.packages} packages)`,
+    );
+  // Ctrl-C stops after the current batch, which is already saved when the loop returns
+  const ac = new globalThis.AbortController();
+  const onSignal = () => {
+    if (!args.quiet) console.log('Stopping after the current batch…');
+    ac.abort();
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+  const { since, processed } = await followChanges(index, {
+    feed: args.feed,
+    since: args.since,
+    batch: args.batch,
+    maxChanges: args.maxChanges,
+    includeDocs: args.includeDocs,
+    follow: args.follow,
+    intervalMs: Math.max(1, args.interval) * 1000,
+    concurrency: args.concurrency,
+    timeoutMs: args.timeout,
+    signal: ac.signal,
+    onBatch: ({ since: seq, changes, processed: n }) => {
+      if (!args.quiet) console.log(`[index] ${changes} changes (total ${n}), at sequence ${seq}`);
+    },
+  });
+  process.off('SIGINT', onSignal);
+  process.off('SIGTERM', onSignal);
+  console.log(
+    `Applied ${processed} changes to ${dir}; ${index.packages} packages indexed, at sequence ${since}`,
+  );
+}
+
+async function runOutreach(args) {
+  const rows = await readRows(
+    resolve(process.cwd(), args.results),
+    DEPENDENT_CONTACT_ROW,
+    args.format || formatFromPath(args.results) || 'csv',
+  );
+  if (!args.quiet && rows.length > 0 && !('repository_url' in rows[0]))
+    console.warn(
+      'results have no contact columns; rerun the analysis with --contacts to fill them',
+    );
+  const template = args.template
+    ? await readFile(resolve(process.cwd(), args.template), 'utf8')
+    : DEFAULT_TEMPLATE;
+  const outDir = resolve(process.cwd(), args.output);
+  const files = await writeOutreachDrafts(rows, outDir, { template, all: args.all });
+  console.log(`Wrote ${files.length} drafts to ${outDir}`);
+}
+
+async function runDiff(args) {
+  // Either run may come from a --contacts analysis; the wider schema types both
+  const [before, after] = await Promise.all(
+    [args.before, args.after].map((file) =>
+      readRows(resolve(process.cwd(), file), DEPENDENT_CONTACT_ROW),
+    ),
+  );
+  const rows = diffRows(before, after);
+  const outPath = resolve(process.cwd(), args.output);
+  const writer = await openRowWriter(outPath, { schema: DIFF_ROW, format: args.format });
+  for (const row of rows) {
+    if (args.all || row.change !== 'unchanged') writer.write(makeRow(DIFF_ROW, row));
+  }
+  await writer.close();
+  if (!args.quiet && rows.length > 0) console.log(formatTable(summarizeDiff(rows)));
+  console.log(`Wrote ${writer.count} rows to ${outPath}`);
+}
+
+async function runQuery(args) {
+  const { schema, rows } = await readResults(
+    resolve(process.cwd(), args.results),
+    args.inputFormat || formatFromPath(args.results) || 'csv',
+  );
+  const query = compileQuery(args, schema);
+  // Impact statistics only make sense for analysis outputs
+  const summary = schema.name === 'dependents' ? createImpactSummary() : null;
+  if (args.summary && !summary)
+    throw new Error(`--summary needs an analysis output, not a ${schema.name} one`);
+  if (args.summary) summaryFormat(args.summary);
+  if (args.graph && !summary)
+    throw new Error(`--graph needs an analysis output, not a ${schema.name} one`);
+  if (args.graph) graphFormat(args.graph);
+  const selected = query.filter ? rows.filter(query.filter) : rows;
+  if (query.compare) selected.sort(query.compare);
+  const toStdout = args.output === '-';
+  const outPath = toStdout ? '-' : resolve(process.cwd(), args.output);
+  const writer = await openRowWriter(outPath, {
+    schema,
+    format: args.format,
+    columns: query.columns,
+  });
+  for (const row of args.top > 0 ? selected.slice(0, args.top) : selected) writer.write(row);
+  await writer.close();
+  if (summary) {
+    for (const row of selected) summary.add(row);
+    await reportSummary(args, summary.result());
+  }
+  if (args.graph) {
+    const graph = createGraph();
+    for (const row of selected) graph.addRow(row);
+    await exportGraph(args, graph);
+  }
+  // With rows on stdout, the count goes to stderr
+  if (toStdout) {
+    if (!args.quiet) console.error(`Selected ${writer.count} of ${rows.length} rows`);
+  } else console.log(`Wrote ${writer.count} of ${rows.length} rows to ${outPath}`);
+}
+
+async function runWatch(args) {
+  checkSources(args);
+  const rows = await readRows(resolve(process.cwd(), args.results), DEPENDENT_CONTACT_ROW);
+  // Packuments are always revalidated (TTL 0): a 304 is cheap, a stale answer would miss a fix
+  if (args.cache)
+    configureHttpCache(createHttpCache({ dir: resolve(process.cwd(), args.cacheDir), ttlMs: 0 }));
+  const index = args.index
+    ? await openDependencyIndex(resolve(process.cwd(), args.indexDir))
+    : null;
+  const eventsPath = resolve(process.cwd(), args.events);
+  const ac = new globalThis.AbortController();
+  const onSignal = () => {
+    if (!args.quiet) console.log('Stopping…');
+    ac.abort();
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+  let events = 0;
+  const { watching } = await watchImpacted(rows, {
+    intervalMs: Math.max(1, args.interval) * 1000,
+    once: args.once,
+    discover: args.discover,
+    includeDev: args.includeDev,
+    includePeer: args.includePeer,
+    noLibraries: args.noLibraries,
+    noScrape: args.noScrape,
+    sources: args.sources,
+    sourcesMode: args.sourcesMode,
+    privatePackages: args.privatePackages,
+    concurrency: args.concurrency,
+    timeoutMs: args.timeout,
+    index,
+    signal: ac.signal,
+    onEvent: async (event) => {
+      events++;
+      console.log(
+        event.event === 'remediated'
+          ? `[${event.path}] remediated (${event.reason}): ${event.dependent}@${event.dependent_latest_version || '?'} resolves ${event.source_package} to ${event.resolved_now || 'nothing compromised'}`
+          : `[${event.path}] new dependent${event.still_impacted_now === true ? ', impacted now' : ''}`,
+      );
+      await appendFile(eventsPath, JSON.stringify(event) + '\n');
+      if (args.webhook) {
+        try {
+          await postWebhook(args.webhook, event, args.timeout);
+        } catch (e) {
+          console.warn(`webhook failed: ${e?.message || e}`);
+        }
+      }
+    },
+    onError: (name, e) => {
+      if (!args.quiet)
+        console.warn(`[${name}] check failed, retrying next cycle: ${e?.message || e}`);
+    },
+    onCycle: ({ cycle, remediated, added, watching: n }) => {
+      if (!args.quiet)
+        console.log(
+          `[watch] cycle ${cycle}: ${remediated} remediated, ${added} new dependents, ${n} still impacted`,
+        );
+    },
+  });
+  process.off('SIGINT', onSignal);
+  process.off('SIGTERM', onSignal);
+  console.log(`Recorded ${events} events in ${eventsPath}; ${watching} dependents still impacted`);
+}
+
+async function runServe(args) {
+  checkSources(args);
+  if (args.cache) {
+    configureHttpCache(
+      createHttpCache({
+        dir: resolve(process.cwd(), args.cacheDir),
+        ttlMs: Math.max(0, args.cacheTtl || 0) * 1000,
+      }),
+    );
+  }
+  const index = args.index
+    ? await openDependencyIndex(resolve(process.cwd(), args.indexDir))
+    : null;
+  const service = createServer({
+    concurrency: args.concurrency,
+    jobs: args.jobs,
+    keep: args.keep,
+    maxDependents: args.maxDependents,
+    maxDepth: args.maxDepth,
+    maxQueued: args.maxQueued,
+    timeoutMs: args.timeout,
+    noLibraries: args.noLibraries,
+    noScrape: args.noScrape,
+    sources: args.sources,
+    sourcesMode: args.sourcesMode,
+    privatePackages: args.privatePackages,
+    index,
+    token: args.token,
+    quiet: args.quiet,
+  });
+  const { address, port } = await service.listen(args.port, args.host);
+  console.log(
+    `Listening on http://${address.includes(':') ? `[${address}]` : address}:${port}` +
+      (args.token ? ' (bearer token required)' : ''),
+  );
+  await new Promise((res) => {
+    const onSignal = () => {
+      if (!args.quiet) console.log('Stopping…');
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      res();
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  });
+  await service.close();
+  // Jobs still running are abandoned rather than awaited
+  process.exit(0);
+}
+
+async function runScan(args) {
+  const inputRows = await readInput(args.input);
+  const bySource = new Map(inputRows.map((r) => [r.package, r]));
+  const lockfiles = [];
+  for (const p of args.paths) {
+    const abs = resolve(process.cwd(), p);
+    if ((await stat(abs)).isFile()) {
+      lockfiles.push(abs);
+      continue;
+    }
+    const found = await findLockfiles(abs, args.recursive);
+    if (found.length === 0) console.warn(`[${p}] no lockfile found`);
+    lockfiles.push(...found);
+  }
+
+  const outPath = resolve(process.cwd(), args.output);
+  const writer = await openRowWriter(outPath, {
+    schema: SCAN_ROW,
+    format: args.format,
+    append: args.append,
+  });
+  for (const file of lockfiles) {
+    const rel = relative(process.cwd(), dirname(file));
+    const project = rel.startsWith('..') ? dirname(file) : rel || '.';
+    const lockfile = basename(file);
+    let parsed;
+    try {
+      parsed = await readLockfile(file);
+    } catch (e) {
+      writer.write(makeRow(SCAN_ROW, { project, lockfile, error: String(e?.message || e) }));
+      if (!args.quiet) console.warn(`[${project}/${lockfile}] failed: ${e?.message || e}`);
+      continue;
+    }
+    let hits = 0;
+    for (const inst of parsed.instances) {
+      const source = bySource.get(inst.name);
+      if (!source || !versionMatchesSpec(inst.version, source.version)) continue;
+      writer.write(
+        makeRow(SCAN_ROW, {
+          source_package: source.package,
+          source_version: source.version,
+          advisory_id: source.advisory_id || '',
+          project,
+          lockfile,
+          lockfile_type: parsed.type,
+          installed_version: inst.version,
+          dependency_path: inst.path.join('>'),
+          install_location: inst.location,
+          is_dev_dependency: inst.dev,
+          is_optional_dependency: inst.optional,
+          is_peer_dependency: inst.peer,
+        }),
+      );
+      hits++;
+    }
+    if (!args.quiet)
+      console.log(
+        `[${project}/${lockfile}] ${parsed.type}: ${parsed.instances.length} installed packages, ${hits} compromised`,
+      );
+  }
+  await writer.close();
+  console.log(
+    `Wrote ${writer.count} rows to ${outPath}${writer.wroteHeader ? ' (with header)' : ''}`,
+  );
+}
+
+// Execute CLI unconditionally. This file is the bin entry point; the library API is src/index.js.
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+// Contact details for outreach, taken from a dependent's packument: maintainers plus the
+// repository, bugs, homepage and funding links of its latest version.
+
+const HOST_SHORTCUTS = {
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+  bitbucket: 'bitbucket.org',
+  gist: 'gist.github.com',
+};
+
+export function normalizeRepositoryUrl(repository) {
+  // "github:user/repo", "user/repo", git+https://, git://, git@host:path and ssh:// forms all
+  // become a browsable https URL; a monorepo "directory" is linked on GitHub.
+  const raw = typeof repository === 'string' ? repository : repository?.url;
+  if (!raw || typeof raw !== 'string') return '';
+  let s = raw.trim();
+  const shortcut = /^(github|gitlab|bitbucket|gist):(.+)$/.exec(s);
+  if (shortcut) s = `https://${HOST_SHORTCUTS[shortcut[1]]}/${shortcut[2]}`;
+  else if (/^[\w.-]+\/[\w.-]+$/.test(s)) s = `https://github.com/${s}`;
+  s = s
+    .replace(/^git\+/, '')
+    .replace(/^(?:git@|ssh:\/\/git@)([^:/]+)[:/]/, 'https://$1/')
+    .replace(/^(?:git|http|ssh):\/\//, 'https://')
+    .replace(/#.*$/, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+  if (!/^https:\/\/[^/]+\/.+/.test(s)) return '';
+  const dir = typeof repository === 'object' ? repository?.directory : '';
+  if (dir && /^https:\/\/github\.com\//.test(s))
+    s = `${s}/tree/HEAD/${String(dir).replace(/^\/+/, '')}`;
+  return s;
+}
+
+function bugsUrl(bugs) {
+  if (!bugs) return '';
+  if (typeof bugs === 'string') return bugs;
+  if (bugs.url) return bugs.url;
+  return bugs.email ? `mailto:${bugs.email}` : '';
+}
+
+function fundingUrls(funding) {
+  // string | { type, url } | an array of either
+  const list = Array.isArray(funding) ? funding : funding ? [funding] : [];
+  return list.map((f) => (typeof f === 'string' ? f : f?.url)).filter(Boolean);
+}
+
+export function contactsOf(pkgMeta) {
+  const latestTag = pkgMeta?.['dist-tags']?.latest;
+  const latest = (latestTag && pkgMeta?.versions?.[latestTag]) || {};
+  const maintainers = (pkgMeta?.maintainers || latest.maintainers || []).filter(Boolean);
+  const names = maintainers.map((m) => (typeof m === 'string' ? m : m.name)).filter(Boolean);
+  const emails = maintainers.map((m) => (typeof m === 'string' ? '' : m.email)).filter(Boolean);
+  return {
+    maintainers: names.join('|'),
+    maintainer_emails: emails.join('|'),
+    repository_url: normalizeRepositoryUrl(latest.repository || pkgMeta?.repository),
+    bugs_url: bugsUrl(latest.bugs || pkgMeta?.bugs),
+    homepage: latest.homepage || pkgMeta?.homepage || '',
+    funding_url: fundingUrls(latest.funding).join('|'),
+  };
+}
@@ -0,0 +1,244 @@
+import { createRequire } from 'node:module';
+import { DEPENDENT_CONTACT_ROW } from './schema.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+// SQLite sink. Rows are split into normalized tables:
+//   runs             one per invocation: options, timestamps, tool version, row count
+//   source_packages  (name, version spec) with the advisory
+//   dependents       per package name: latest version, last update, popularity, contacts
+//   results          per (source package, dependent): every other row column, plus the run
+//                    that first and last wrote it
+// and the result_rows view joins them back into the row schema. Writing a result upserts on
+// (source_package, source_version, dependent), so later runs, chunks and --resume retries
+// update rows in place instead of adding duplicates; an error row does not replace a result
+// that succeeded earlier. Booleans are stored as 0/1; impact
+// columns may hold "unresolvable" like in the other formats. better-sqlite3 is an optional
+// dependency and only loaded when a database is opened.
+
+const DB_VERSION = 1;
+// Rows are committed in batches; close() commits the rest
+const BATCH = 500;
+
+const SOURCE_COLUMNS = { source_package: 'name', source_version: 'version' };
+const DEPENDENT_COLUMNS = {
+  dependent: 'name',
+  dependent_latest_version: 'latest_version',
+  last_update: 'last_update',
+  weekly_downloads: 'weekly_downloads',
+  dependents_count: 'dependents_count',
+};
+const CONTACT_COLUMNS = [
+  'maintainers',
+  'maintainer_emails',
+  'repository_url',
+  'bugs_url',
+  'homepage',
+  'funding_url',
+];
+const INTEGER_COLUMNS = new Set(['weekly_downloads', 'dependents_count', 'depth', 'risk_score']);
+// advisory_id is the source package's; the rest of the row belongs to the result
+const RESULT_COLUMNS = DEPENDENT_CONTACT_ROW.fields.filter(
+  (f) =>
+    !(f in SOURCE_COLUMNS) &&
+    !(f in DEPENDENT_COLUMNS) &&
+    !CONTACT_COLUMNS.includes(f) &&
+    f !== 'advisory_id',
+);
+
+function columnType(field) {
+  if (INTEGER_COLUMNS.has(field)) return 'INTEGER';
+  // Booleans are 0/1, or "unresolvable" for the impact flags
+  return typeof DEPENDENT_CONTACT_ROW.defaults[field] === 'boolean' ? 'INTEGER' : 'TEXT';
+}
+
+function sqlValue(field, value) {
+  if (value === true || value === false) return value ? 1 : 0;
+  if (value === undefined || value === null) return null;
+  if (INTEGER_COLUMNS.has(field)) return value === '' ? null : Number(value);
+  return value;
+}
+
+async function loadSqlite() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (e) {
+    if (e?.code === 'ERR_MODULE_NOT_FOUND')
+      throw new Error('--db needs the better-sqlite3 package: npm install better-sqlite3');
+    throw e;
+  }
+}
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  if (version > DB_VERSION)
+    throw new Error(`Database schema version ${version} is newer than this tool's (${DB_VERSION})`);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id INTEGER PRIMARY KEY,
+      tool_name TEXT NOT NULL,
+      tool_version TEXT NOT NULL,
+      command TEXT NOT NULL,
+      input TEXT,
+      options TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      rows INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS source_packages (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      version TEXT NOT NULL,
+      advisory_id TEXT NOT NULL DEFAULT '',
+      UNIQUE (name, version)
+    );
+    CREATE TABLE IF NOT EXISTS dependents (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      latest_version TEXT,
+      last_update TEXT,
+      weekly_downloads INTEGER,
+      dependents_count INTEGER,
+      ${CONTACT_COLUMNS.map((c) => `${c} TEXT`).join(',\n      ')}
+    );
+    CREATE TABLE IF NOT EXISTS results (
+      source_package_id INTEGER NOT NULL REFERENCES source_packages (id),
+      dependent_id INTEGER NOT NULL REFERENCES dependents (id),
+      first_run_id INTEGER NOT NULL REFERENCES runs (id),
+      run_id INTEGER NOT NULL REFERENCES runs (id),
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (source_package_id, dependent_id)
+    );
+    CREATE INDEX IF NOT EXISTS results_dependent ON results (dependent_id);
+    CREATE INDEX IF NOT EXISTS results_run ON results (run_id);
+  `);
+  // Row columns added since the database was created become new, empty result columns
+  const present = new Set(db.pragma('table_info(results)').map((c) => c.name));
+  for (const field of RESULT_COLUMNS)
+    if (!present.has(field))
+      db.exec(`ALTER TABLE results ADD COLUMN ${field} ${columnType(field)}`);
+  const expr = (field) => {
+    if (field in SOURCE_COLUMNS) return `s.${SOURCE_COLUMNS[field]}`;
+    if (field === 'advisory_id') return 's.advisory_id';
+    if (field in DEPENDENT_COLUMNS) return `d.${DEPENDENT_COLUMNS[field]}`;
+    if (CONTACT_COLUMNS.includes(field)) return `d.${field}`;
+    return `r.${field}`;
+  };
+  db.exec(`
+    DROP VIEW IF EXISTS result_rows;
+    CREATE VIEW result_rows AS
+      SELECT ${DEPENDENT_CONTACT_ROW.fields.map((f) => `${expr(f)} AS ${f}`).join(', ')},
+        r.first_run_id, r.run_id, r.updated_at
+      FROM results r
+      JOIN source_packages s ON s.id = r.source_package_id
+      JOIN dependents d ON d.id = r.dependent_id;
+  `);
+  db.pragma(`user_version = ${DB_VERSION}`);
+}
+
+export async function openResultsDb(file, { command = 'analyze', input = '', options = {} } = {}) {
+  // Opens (or creates) the database and records a run; write() upserts a row, close()
+  // commits and stamps the run's end
+  const Database = await loadSqlite();
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const startedAt = new Date().toISOString();
+  const runId = db
+    .prepare(
+      `INSERT INTO runs (tool_name, tool_version, command, input, options, started_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+    )
+    .run(pkg.name, pkg.version, command, input, JSON.stringify(options), startedAt).lastInsertRowid;
+
+  const upsertSource = db.prepare(
+    `INSERT INTO source_packages (name, version, advisory_id) VALUES (?, ?, ?)
+     ON CONFLICT (name, version) DO UPDATE SET advisory_id = excluded.advisory_id
+     RETURNING id`,
+  );
+  const dependentFields = Object.keys(DEPENDENT_COLUMNS);
+  const upsertDependent = (withContacts) => {
+    const fields = withContacts ? [...dependentFields, ...CONTACT_COLUMNS] : dependentFields;
+    const columns = fields.map((f) => DEPENDENT_COLUMNS[f] || f);
+    // Error rows carry none of these; they keep what an earlier run found
+    return db.prepare(
+      `INSERT INTO dependents (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+       ON CONFLICT (name) DO UPDATE SET ${columns
+         .slice(1)
+         .map((c) => `${c} = coalesce(nullif(excluded.${c}, ''), ${c})`)
+         .join(', ')}
+       RETURNING id`,
+    );
+  };
+  const upsertDependents = [upsertDependent(false), upsertDependent(true)];
+  const resultColumns = [
+    'source_package_id',
+    'dependent_id',
+    'first_run_id',
+    'run_id',
+    'updated_at',
+    ...RESULT_COLUMNS,
+  ];
+  const upsertResult = db.prepare(
+    `INSERT INTO results (${resultColumns.join(', ')})
+     VALUES (${resultColumns.map(() => '?').join(', ')})
+     ON CONFLICT (source_package_id, dependent_id) DO UPDATE SET ${resultColumns
+       .filter((c) => !['source_package_id', 'dependent_id', 'first_run_id'].includes(c))
+       .map((c) => `${c} = excluded.${c}`)
+       .join(', ')}
+     WHERE excluded.error = '' OR results.error != ''`,
+  );
+  const sourceIds = new Map();
+  let pending = 0;
+  let count = 0;
+  db.exec('BEGIN');
+
+  return {
+    file,
+    runId: Number(runId),
+    get count() {
+      return count;
+    },
+
+    write(row) {
+      if (!row.source_package || !row.dependent) return;
+      const sourceKey = `${row.source_package}\u0000${row.source_version}\u0000${row.advisory_id}`;
+      if (!sourceIds.has(sourceKey))
+        sourceIds.set(
+          sourceKey,
+          upsertSource.get(row.source_package, row.source_version || '', row.advisory_id || '').id,
+        );
+      const withContacts = 'repository_url' in row;
+      const fields = withContacts ? [...dependentFields, ...CONTACT_COLUMNS] : dependentFields;
+      const dependentId = upsertDependents[withContacts ? 1 : 0].get(
+        ...fields.map((f) => sqlValue(f, row[f])),
+      ).id;
+      upsertResult.run(
+        sourceIds.get(sourceKey),
+        dependentId,
+        runId,
+        runId,
+        new Date().toISOString(),
+        ...RESULT_COLUMNS.map((f) => sqlValue(f, row[f])),
+      );
+      count++;
+      if (++pending >= BATCH) {
+        db.exec('COMMIT; BEGIN');
+        pending = 0;
+      }
+    },
+
+    close() {
+      if (!db.open) return;
+      db.prepare('UPDATE runs SET finished_at = ?, rows = ? WHERE id = ?').run(
+        new Date().toISOString(),
+        count,
+        runId,
+      );
+      db.exec('COMMIT');
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,224 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import pLimit from 'p-limit';
+import { defaultCacheDir } from './cache.js';
+import { DEFAULT_TIMEOUT_MS, fetchJSON, getPackageMetadata } from './http.js';
+import { aliasedName } from './specs.js';
+
+// Local reverse-dependency index, kept up to date from a CouchDB-style _changes feed.
+// Two sharded maps are stored as JSON under the index directory:
+//   rev/<shard>.json  dependency name -> { dependent: { dep|peer|dev: { spec: [versions] } } }
+//   fwd/<shard>.json  package name -> dependency names, so a changed package's old edges can
+//                     be removed before its new ones are added
+// state.json records the feed and the sequence to continue from; it is written after the
+// shards, so an interrupted batch is simply applied again.
+
+const INDEX_VERSION = 1;
+
+export const DEFAULT_CHANGES_URL =
+  process.env.NPM_CHANGES_URL || 'https://replicate.npmjs.com/registry/_changes';
+
+const DEPENDENCY_FIELDS = [
+  ['dependencies', 'dep'],
+  ['peerDependencies', 'peer'],
+  ['devDependencies', 'dev'],
+];
+
+export function defaultIndexDir() {
+  return join(defaultCacheDir(), 'index');
+}
+
+function shardOf(name) {
+  return createHash('sha1').update(name).digest('hex').slice(0, 3);
+}
+
+export function edgesOf(doc) {
+  // dependency name -> { kind: { spec: [versions declaring it] } } across all versions. npm:
+  // aliases count as a dependency on the aliased package, whatever key they are installed under.
+  const edges = {};
+  for (const [version, manifest] of Object.entries(doc?.versions || {})) {
+    for (const [field, kind] of DEPENDENCY_FIELDS) {
+      for (const [key, spec] of Object.entries(manifest?.[field] || {})) {
+        const byKind = (edges[aliasedName(spec) || key] ||= {});
+        const bySpec = (byKind[kind] ||= {});
+        (bySpec[String(spec)] ||= []).push(version);
+      }
+    }
+  }
+  return edges;
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, file);
+}
+
+export async function openDependencyIndex(dir = defaultIndexDir(), { create = false } = {}) {
+  // Resolves to null when there is no index in dir (unless create is set)
+  const stateFile = join(dir, 'state.json');
+  let state = null;
+  try {
+    state = JSON.parse(await readFile(stateFile, 'utf8'));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') throw new Error(`Cannot read index ${stateFile}: ${e?.message || e}`);
+  }
+  if (!state) {
+    if (!create) return null;
+    state = { version: INDEX_VERSION, feed: null, since: 0, packages: 0, updated_at: null };
+  }
+  if (state.version !== INDEX_VERSION)
+    throw new Error(`Unsupported index version ${state.version} in ${dir}`);
+
+  // Loaded shards by "<map>/<shard>"; promises, so concurrent lookups share one read
+  let shards = new Map();
+  function shard(map, name) {
+    const id = `${map}/${shardOf(name)}`;
+    if (!shards.has(id)) {
+      shards.set(
+        id,
+        readFile(join(dir, `${id}.json`), 'utf8').then(
+          (text) => ({ id, data: JSON.parse(text), dirty: false }),
+          (e) => {
+            if (e?.code !== 'ENOENT') throw e;
+            return { id, data: {}, dirty: false };
+          },
+        ),
+      );
+    }
+    return shards.get(id);
+  }
+
+  return {
+    dir,
+    get feed() {
+      return state.feed;
+    },
+    get since() {
+      return state.since;
+    },
+    get packages() {
+      return state.packages;
+    },
+    get updatedAt() {
+      return state.updated_at;
+    },
+
+    // Full entry for a dependency: { dependent: { kind: { spec: [versions] } } }
+    async lookup(name) {
+      return (await shard('rev', name)).data[name] || {};
+    },
+
+    async dependents(name, { includeDev = false, includePeer = true } = {}) {
+      const entry = await this.lookup(name);
+      return Object.keys(entry).filter((d) => {
+        const kinds = entry[d];
+        return !!(kinds.dep || (includePeer && kinds.peer) || (includeDev && kinds.dev));
+      });
+    },
+
+    // Replaces everything recorded for a package with the edges of doc (null: deleted)
+    async apply(name, doc) {
+      const fwd = await shard('fwd', name);
+      const had = Object.hasOwn(fwd.data, name);
+      for (const dep of fwd.data[name] || []) {
+        const rev = await shard('rev', dep);
+        if (!rev.data[dep]?.[name]) continue;
+        delete rev.data[dep][name];
+        if (Object.keys(rev.data[dep]).length === 0) delete rev.data[dep];
+        rev.dirty = true;
+      }
+      const edges = doc ? edgesOf(doc) : {};
+      const deps = Object.keys(edges);
+      for (const dep of deps) {
+        const rev = await shard('rev', dep);
+        (rev.data[dep] ||= {})[name] = edges[dep];
+        rev.dirty = true;
+      }
+      if (deps.length > 0) fwd.data[name] = deps;
+      else delete fwd.data[name];
+      fwd.dirty = fwd.dirty || had || deps.length > 0;
+      state.packages += (deps.length > 0 ? 1 : 0) - (had ? 1 : 0);
+    },
+
+    // Writes changed shards, then the feed position; loaded shards are dropped to bound memory
+    async flush(since, feed) {
+      const loaded = await Promise.all(shards.values());
+      shards = new Map();
+      await mkdir(join(dir, 'fwd'), { recursive: true });
+      await mkdir(join(dir, 'rev'), { recursive: true });
+      for (const s of loaded) {
+        if (s.dirty) await writeAtomic(join(dir, `${s.id}.json`), JSON.stringify(s.data));
+      }
+      if (since !== undefined) state.since = since;
+      if (feed !== undefined) state.feed = feed;
+      state.updated_at = new Date().toISOString();
+      await writeAtomic(stateFile, JSON.stringify(state, null, 2));
+    },
+  };
+}
+
+export async function followChanges(index, options = {}) {
+  // Applies the feed to the index batch by batch, from options.since or the saved position.
+  // Without include_docs (the public replicate endpoint no longer serves them), each changed
+  // packument is fetched from the registry.
+  const {
+    feed = DEFAULT_CHANGES_URL,
+    batch = 500,
+    maxChanges = 0,
+    includeDocs = false,
+    follow = false,
+    intervalMs = 60000,
+    concurrency = 8,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    signal = null,
+    onBatch = null,
+  } = options;
+  let since = options.since ?? index.since;
+  if (options.since === undefined && index.feed && index.feed !== feed)
+    throw new Error(
+      `Index ${index.dir} follows ${index.feed}; pass --since to start ${feed} from a known sequence`,
+    );
+  const limit = pLimit(concurrency);
+  let processed = 0;
+
+  async function docFor(change) {
+    if (change.deleted || change.doc?._deleted) return null;
+    if (change.doc) return change.doc;
+    try {
+      return await getPackageMetadata(change.id, timeoutMs);
+    } catch (e) {
+      if (e?.status === 404) return null;
+      throw e;
+    }
+  }
+
+  while (!signal?.aborted) {
+    const size = maxChanges ? Math.min(batch, maxChanges - processed) : batch;
+    const params = `since=${encodeURIComponent(since)}&limit=${size}`;
+    const url = `${feed}?${params}${includeDocs ? '&include_docs=true' : ''}`;
+    const data = await fetchJSON(url, {}, 3, timeoutMs);
+    // Design documents are CouchDB internals, not packages
+    const changes = (data?.results || []).filter((c) => c?.id && !c.id.startsWith('_design/'));
+    const docs = await Promise.all(changes.map((c) => limit(() => docFor(c))));
+    for (let i = 0; i < changes.length; i++) await index.apply(changes[i].id, docs[i]);
+    const got = data?.results?.length || 0;
+    since = data?.last_seq ?? data?.results?.at(-1)?.seq ?? since;
+    await index.flush(since, feed);
+    processed += got;
+    onBatch?.({ since, changes: got, processed });
+    if (maxChanges && processed >= maxChanges) break;
+    if (got < size) {
+      // Caught up with the feed
+      if (!follow) break;
+      try {
+        await delay(intervalMs, undefined, signal ? { signal } : undefined);
+      } catch {
+        break;
+      }
+    }
+  }
+  return { since, processed };
+}
@@ -0,0 +1,124 @@
+import { UNRESOLVABLE } from './specs.js';
+
+// Remediation tracking: compares two analysis outputs dependent by dependent. Rows are matched
+// on source package and dependent (several rows per dependent, as with --all-versions or
+// --depth, are folded together), so a changed version spec for the source package does not
+// make every dependent look new.
+
+export const CHANGES = ['added', 'removed', 'regressed', 'remediated', 'changed', 'unchanged'];
+
+// Columns compared between runs, in changed_fields order
+const COMPARED = [
+  'still_impacted_now',
+  'likely_impacted_at_release',
+  'dependent_latest_version',
+  'dependent_version_range',
+  'error',
+];
+
+function unique(values) {
+  return Array.from(new Set(values.filter((v) => v !== '' && v != null).map(String)));
+}
+
+function fold(rows) {
+  // One state per dependent: impacted if any of its rows is, ranges and errors joined with "|"
+  const ok = rows.filter((r) => !r.error);
+  const flag = (field) =>
+    ok.some((r) => r[field] === true)
+      ? true
+      : ok.some((r) => r[field] === UNRESOLVABLE)
+        ? UNRESOLVABLE
+        : false;
+  const first = rows[0];
+  return {
+    source_package: first.source_package,
+    source_version: first.source_version,
+    advisory_id: first.advisory_id,
+    dependent: first.dependent,
+    // Only failed rows: nothing is known about impact
+    failed: ok.length === 0,
+    still_impacted_now: flag('still_impacted_now'),
+    likely_impacted_at_release: flag('likely_impacted_at_release'),
+    dependent_latest_version: unique(ok.map((r) => r.dependent_latest_version)).join('|'),
+    dependent_version_range: unique(ok.map((r) => r.dependent_version_range))
+      .sort()
+      .join('|'),
+    error: unique(rows.map((r) => r.error)).join('|'),
+  };
+}
+
+function byDependent(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!row.source_package || !row.dependent) continue;
+    const key = `${row.source_package}\u0000${row.dependent}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return new Map(Array.from(groups, ([key, group]) => [key, fold(group)]));
+}
+
+function classify(before, after, changedFields) {
+  if (!before) return 'added';
+  if (!after) return 'removed';
+  // A run that failed for the dependent says nothing about remediation
+  if (!before.failed && !after.failed) {
+    const was = before.still_impacted_now === true;
+    const is = after.still_impacted_now === true;
+    if (was && !is) return 'remediated';
+    if (!was && is) return 'regressed';
+  }
+  return changedFields.length > 0 ? 'changed' : 'unchanged';
+}
+
+export function diffRows(beforeRows, afterRows) {
+  // One diff row per dependent present in either run, in the after run's order (removed ones
+  // last), with before_/after_ values of the compared columns
+  const before = byDependent(beforeRows);
+  const after = byDependent(afterRows);
+  const keys = [...after.keys(), ...Array.from(before.keys()).filter((k) => !after.has(k))];
+  return keys.map((key) => {
+    const b = before.get(key);
+    const a = after.get(key);
+    const changedFields = b && a ? COMPARED.filter((f) => b[f] !== a[f]) : [];
+    const row = {
+      ...(a || b),
+      change: classify(b, a, changedFields),
+      changed_fields: changedFields.join('|'),
+    };
+    for (const f of COMPARED.slice(0, 4)) {
+      row[`before_${f}`] = b ? b[f] : '';
+      row[`after_${f}`] = a ? a[f] : '';
+    }
+    return row;
+  });
+}
+
+export function summarizeDiff(rows) {
+  // Counts per source package and change, in CHANGES order
+  const bySource = new Map();
+  for (const row of rows) {
+    if (!bySource.has(row.source_package))
+      bySource.set(row.source_package, {
+        source_package: row.source_package,
+        ...Object.fromEntries(CHANGES.map((c) => [c, 0])),
+      });
+    bySource.get(row.source_package)[row.change]++;
+  }
+  return Array.from(bySource.values());
+}
+
+export function formatTable(rows, fields = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  // Plain-text table for the console: text columns left-aligned, numbers right-aligned
+  const widths = fields.map((f) => Math.max(f.length, ...rows.map((r) => String(r[f]).length)));
+  const line = (cells) =>
+    cells
+      .map((c, i) =>
+        typeof rows[0]?.[fields[i]] === 'number'
+          ? String(c).padStart(widths[i])
+          : String(c).padEnd(widths[i]),
+      )
+      .join('  ')
+      .trimEnd();
+  return [line(fields), ...rows.map((r) => line(fields.map((f) => r[f])))].join('\n');
+}
@@ -0,0 +1,92 @@
+import { DEFAULT_TIMEOUT_MS, fetchJSON } from './http.js';
+import {
+  SOURCES_MODES,
+  indexProvider,
+  npmsDependentsUrl,
+  privatePackagesProvider,
+  resolveSources,
+} from './providers.js';
+
+export async function fetchAllDependents(
+  name,
+  includeDev = false,
+  includePeer = true,
+  max = 0,
+  verbose = false,
+  options = {},
+) {
+  // Dependents of name from the local index and the privatePackages list (always asked first
+  // when given), then from the discovery providers in `sources` order (see providers.js). With sourcesMode 'fallback' a
+  // provider after the first is only asked while nothing (or fewer than max) was found; with
+  // 'union' every provider is asked. stats counts the new names each asked provider added;
+  // sources maps each name to the provider that found it first.
+  const {
+    noLibraries = false,
+    noScrape = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    index = null,
+    privatePackages = null,
+    sources = null,
+    sourcesMode = 'fallback',
+    log = console.log,
+  } = options || {};
+  if (!SOURCES_MODES.includes(sourcesMode))
+    throw new Error(
+      `Unknown sources mode "${sourcesMode}" (expected: ${SOURCES_MODES.join(', ')})`,
+    );
+  const chain = resolveSources(sources, { noLibraries, noScrape });
+  const seen = new Set();
+  const sourceByPkg = new Map();
+  const stats = {};
+  const full = () => max && seen.size >= max;
+
+  const ask = async (provider) => {
+    let added = 0;
+    if (verbose && includeDev && !provider.capabilities?.dev)
+      log(`[${name}] ${provider.name} does not list devDependencies dependents`);
+    try {
+      for await (const pkg of provider.listDependents(name, {
+        includeDev,
+        includePeer,
+        max: max ? max - seen.size : 0,
+        timeoutMs,
+        verbose,
+        log,
+      })) {
+        if (!pkg || pkg === name || seen.has(pkg)) continue;
+        seen.add(pkg);
+        sourceByPkg.set(pkg, provider.name);
+        added++;
+        if (full()) break;
+      }
+    } catch (e) {
+      // Experimental providers can break at any time, which should not go unnoticed
+      if (verbose || provider.experimental)
+        console.warn(`[${name}] ${provider.name} lookup error: ${e?.message || e}`);
+    }
+    stats[provider.name] = (stats[provider.name] || 0) + added;
+    if (verbose) log(`[${name}] ${provider.name} added ${added}`);
+  };
+
+  if (index) await ask(indexProvider(index));
+  if (privatePackages?.length > 0 && !full()) await ask(privatePackagesProvider(privatePackages));
+  for (const [i, provider] of chain.entries()) {
+    if (full()) break;
+    if (sourcesMode === 'fallback' && i > 0 && seen.size > 0 && !max) break;
+    await ask(provider);
+  }
+  return { names: Array.from(seen.keys()), stats, sources: sourceByPkg };
+}
+
+export async function countDependents(name, { index = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  // Runtime dependents of name: from the index when it knows the package, else the npms.io
+  // total (same request as the first discovery page, so it is usually cached). null if unknown.
+  const fromIndex = index ? await index.dependents(name, { includePeer: false }) : [];
+  if (fromIndex.length > 0) return fromIndex.length;
+  try {
+    const data = await fetchJSON(npmsDependentsUrl(name, 0), {}, 3, timeoutMs);
+    return Number.isFinite(data?.total) ? data.total : null;
+  } catch {
+    return null;
+  }
+}
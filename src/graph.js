@@ -0,0 +1,261 @@
+import { writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { createRequire } from 'node:module';
+import { UNRESOLVABLE } from './specs.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+// The blast radius as a graph: one node per package and one edge per declaration, from the
+// package declared (the source package, or an impacted dependent with --depth) to the
+// dependent declaring it. Built from rows as they are written, and rendered as Graphviz DOT,
+// GraphML (Gephi, yEd) or Cytoscape JSON. Several rows for one edge (--all-versions) are
+// merged, keeping the most severe impact.
+
+export const GRAPH_FORMATS = ['dot', 'graphml', 'cytoscape'];
+const EXTENSIONS = {
+  dot: 'dot',
+  gv: 'dot',
+  graphml: 'graphml',
+  json: 'cytoscape',
+  cyjs: 'cytoscape',
+};
+
+// Most severe first; source packages are "compromised"
+export const IMPACTS = [
+  'compromised',
+  'impacted-now',
+  'impacted-at-release',
+  'unresolvable',
+  'error',
+  'none',
+];
+const COLORS = {
+  compromised: '#d62728',
+  'impacted-now': '#d62728',
+  'impacted-at-release': '#ff7f0e',
+  unresolvable: '#7f7f7f',
+  error: '#9467bd',
+  none: '#2ca02c',
+};
+
+export function graphFormat(file) {
+  const ext = extname(file || '')
+    .slice(1)
+    .toLowerCase();
+  const format = EXTENSIONS[ext];
+  if (!format) throw new Error(`--graph ${file}: expected a .dot, .gv, .graphml or .json file`);
+  return format;
+}
+
+export function impactOf(row) {
+  if (row.error) return 'error';
+  if (row.still_impacted_now === true) return 'impacted-now';
+  if (row.likely_impacted_at_release === true || row.uses_exact_pin === true)
+    return 'impacted-at-release';
+  if (row.still_impacted_now === UNRESOLVABLE) return 'unresolvable';
+  return 'none';
+}
+
+function worse(a, b) {
+  return IMPACTS.indexOf(a) <= IMPACTS.indexOf(b) ? a : b;
+}
+
+export function createGraph() {
+  const nodes = new Map();
+  const edges = new Map();
+
+  function node(id, kind) {
+    if (!nodes.has(id))
+      nodes.set(id, {
+        id,
+        kind,
+        latest_version: '',
+        last_update: '',
+        compromised_versions: '',
+        impact: 'none',
+        risk_score: 0,
+      });
+    const n = nodes.get(id);
+    // A source package reached as someone's dependent is still a source package
+    if (kind === 'source') {
+      n.kind = kind;
+      n.impact = 'compromised';
+    }
+    return n;
+  }
+
+  return {
+    nodes,
+    edges,
+
+    addRow(row) {
+      if (!row.source_package || !row.dependent) return;
+      const hops = String(row.path || '').split('>');
+      const parent = hops.length > 1 ? hops.at(-2) : row.source_package;
+      const from = node(parent, parent === row.source_package ? 'source' : 'dependent');
+      if (from.kind === 'source' && !from.compromised_versions)
+        from.compromised_versions = row.compromised_versions || '';
+      const to = node(row.dependent, 'dependent');
+      to.latest_version ||= row.dependent_latest_version || '';
+      to.last_update ||= row.last_update || '';
+      to.risk_score = Math.max(to.risk_score, Number(row.risk_score) || 0);
+      const impact = impactOf(row);
+      to.impact = worse(to.impact, impact);
+
+      const id = `${parent}\u0000${row.dependent}`;
+      const edge = edges.get(id);
+      if (!edge) {
+        edges.set(id, {
+          source: parent,
+          target: row.dependent,
+          source_package: row.source_package,
+          dependency_type: row.dependency_type || '',
+          dependent_version_range: row.dependent_version_range || '',
+          impact,
+          depth: Number(row.depth) || 1,
+        });
+        return;
+      }
+      // --all-versions rows of one dependent: the ranges differ, the worst impact wins
+      if (
+        row.dependent_version_range &&
+        !edge.dependent_version_range.split(' || ').includes(row.dependent_version_range)
+      )
+        edge.dependent_version_range = [edge.dependent_version_range, row.dependent_version_range]
+          .filter(Boolean)
+          .join(' || ');
+      edge.impact = worse(edge.impact, impact);
+    },
+  };
+}
+
+function dotString(v) {
+  return `"${String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')}"`;
+}
+
+function dotAttrs(attrs) {
+  return Object.entries(attrs)
+    .map(([k, v]) => `${k}=${dotString(v)}`)
+    .join(', ');
+}
+
+export function renderDot(graph) {
+  const lines = [
+    `// ${pkg.name} ${pkg.version}`,
+    'digraph "blast-radius" {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fillcolor="#ffffff"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  for (const n of graph.nodes.values()) {
+    const label =
+      n.kind === 'source'
+        ? `${n.id}\n${n.compromised_versions}`
+        : `${n.id}${n.latest_version ? `@${n.latest_version}` : ''}`;
+    lines.push(
+      `  ${dotString(n.id)} [${dotAttrs({
+        label,
+        kind: n.kind,
+        latest_version: n.latest_version,
+        last_update: n.last_update,
+        impact: n.impact,
+        fillcolor: n.kind === 'source' ? '#f4cccc' : '#ffffff',
+        color: COLORS[n.impact],
+      })}];`,
+    );
+  }
+  for (const e of graph.edges.values()) {
+    lines.push(
+      `  ${dotString(e.source)} -> ${dotString(e.target)} [${dotAttrs({
+        label: e.dependent_version_range,
+        dependency_type: e.dependency_type,
+        impact: e.impact,
+        color: COLORS[e.impact],
+        style: e.dependency_type === 'dev' ? 'dashed' : 'solid',
+      })}];`,
+    );
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function xml(v) {
+  return String(v ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c],
+  );
+}
+
+const GRAPHML_KEYS = {
+  node: {
+    kind: 'string',
+    latest_version: 'string',
+    last_update: 'string',
+    compromised_versions: 'string',
+    impact: 'string',
+    risk_score: 'int',
+  },
+  edge: {
+    source_package: 'string',
+    dependency_type: 'string',
+    dependent_version_range: 'string',
+    impact: 'string',
+    depth: 'int',
+  },
+};
+
+export function renderGraphml(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ];
+  for (const [element, keys] of Object.entries(GRAPHML_KEYS))
+    for (const [name, type] of Object.entries(keys))
+      lines.push(
+        `  <key id="${element}_${name}" for="${element}" attr.name="${name}" attr.type="${type}"/>`,
+      );
+  lines.push(`  <graph id="blast-radius" edgedefault="directed">`);
+  const data = (element, item) =>
+    Object.keys(GRAPHML_KEYS[element])
+      .map((name) => `<data key="${element}_${name}">${xml(item[name])}</data>`)
+      .join('');
+  for (const n of graph.nodes.values())
+    lines.push(`    <node id="${xml(n.id)}">${data('node', n)}</node>`);
+  let i = 0;
+  for (const e of graph.edges.values())
+    lines.push(
+      `    <edge id="e${i++}" source="${xml(e.source)}" target="${xml(e.target)}">${data('edge', e)}</edge>`,
+    );
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+export function renderCytoscape(graph) {
+  // Cytoscape.js elements JSON, which Cytoscape desktop imports as well
+  let i = 0;
+  return (
+    JSON.stringify(
+      {
+        format_version: '1.0',
+        generated_by: `${pkg.name}-${pkg.version}`,
+        data: { name: 'blast-radius' },
+        elements: {
+          nodes: Array.from(graph.nodes.values(), (n) => ({ data: { ...n, name: n.id } })),
+          edges: Array.from(graph.edges.values(), (e) => ({ data: { id: `e${i++}`, ...e } })),
+        },
+      },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+export async function writeGraph(file, graph) {
+  const render = { dot: renderDot, graphml: renderGraphml, cytoscape: renderCytoscape }[
+    graphFormat(file)
+  ];
+  await writeFile(file, render(graph));
+}
@@ -0,0 +1,294 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { setTimeout as setNodeTimeout, clearTimeout as clearNodeTimeout } from 'node:timers';
+import { fetch } from 'undici';
+import { createRequire } from 'node:module';
+import { DEFAULT_REGISTRY, createRegistries } from './npmrc.js';
+import { createHostScheduler, retryAfterMs } from './ratelimit.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+export const NPM_REGISTRY = process.env.NPM_REGISTRY || DEFAULT_REGISTRY;
+export const DEFAULT_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 15000);
+
+// On-disk response cache shared by fetchJSON/fetchText; configured once by the caller
+let httpCache = null;
+
+export function configureHttpCache(cache) {
+  httpCache = cache;
+}
+
+// Registry per package scope and credentials per registry (see npmrc.js). Without .npmrc
+// settings, NPM_REGISTRY serves everything and NPM_TOKEN authenticates to it.
+let registries = createRegistries(
+  {},
+  { registry: process.env.NPM_REGISTRY, token: process.env.NPM_TOKEN },
+);
+
+export function configureRegistries(next) {
+  registries = next;
+}
+
+function authHeaders(url) {
+  const authorization = registries.authorization(url);
+  return authorization ? { authorization } : {};
+}
+
+// Per-host rate limits and request counters (see ratelimit.js); always on, replaceable
+let scheduler = createHostScheduler();
+
+export function configureHostScheduler(next) {
+  scheduler = next;
+}
+
+export function requestReport() {
+  // Requests, cache hits, retries and throttling per host since the scheduler was created
+  return scheduler.report();
+}
+
+function throttleWait(res, attempt) {
+  // Retry-After when the host sends one, else exponential backoff up to a minute
+  return retryAfterMs(res.headers.get('retry-after')) ?? Math.min(60, 2 ** attempt * 2) * 1000;
+}
+
+async function retryAfterError(url, attempt) {
+  scheduler.count(url, 'retries');
+  await delay((attempt + 1) * 500);
+}
+
+async function readCached(url) {
+  // Returns { entry, fresh }: fresh entries (or any entry when offline) are served without a
+  // request; stale ones are revalidated with their ETag/Last-Modified.
+  if (!httpCache) return { entry: null, fresh: false };
+  const entry = await httpCache.read(url);
+  if (httpCache.offline) {
+    if (!entry) throw new Error(`offline: no cached response for ${url}`);
+    scheduler.count(url, 'cached');
+    return { entry, fresh: true };
+  }
+  const fresh = httpCache.isFresh(entry);
+  if (fresh) scheduler.count(url, 'cached');
+  return { entry, fresh };
+}
+
+async function storeResponse(url, res, body) {
+  if (!httpCache) return;
+  try {
+    await httpCache.write(url, {
+      etag: res.headers.get('etag'),
+      lastModified: res.headers.get('last-modified'),
+      body,
+    });
+  } catch (e) {
+    console.warn(`cache write failed for ${url}: ${e?.message || e}`);
+  }
+}
+
+export async function fetchJSON(url, options = {}, retries = 3, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const cacheable = !options.method || options.method === 'GET';
+  const cached = cacheable ? await readCached(url) : { entry: null, fresh: false };
+  if (cached.fresh) return JSON.parse(cached.entry.body);
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const ac = new globalThis.AbortController();
+    const to = setNodeTimeout(() => ac.abort(), Math.max(1000, timeoutMs));
+    let res;
+    await scheduler.acquire(url);
+    try {
+      res = await fetch(url, {
+        ...options,
+        signal: ac.signal,
+        headers: {
+          'user-agent': `npm-blast-radius/${pkg.version || '0.0.0'} (+https://www.npmjs.com)`,
+          accept: 'application/json',
+          ...authHeaders(url),
+          ...(cached.entry ? httpCache.conditionalHeaders(cached.entry) : {}),
+          ...(options.headers || {}),
+        },
+      });
+    } catch (e) {
+      clearNodeTimeout(to);
+      if (attempt === retries) {
+        scheduler.count(url, 'failed');
+        throw new Error(`Fetch error for ${url}: ${e?.message || e}`);
+      }
+      await retryAfterError(url, attempt);
+      continue;
+    } finally {
+      clearNodeTimeout(to);
+    }
+
+    // The wait is taken by the next acquire, together with every other request to the host
+    if (res.status === 429) {
+      scheduler.throttle(url, throttleWait(res, attempt));
+      if (attempt < retries) {
+        scheduler.count(url, 'retries');
+        continue;
+      }
+    } else scheduler.succeed(url);
+
+    if (res.status === 304 && cached.entry) {
+      scheduler.count(url, 'not_modified');
+      await httpCache.touch(url, cached.entry);
+      return JSON.parse(cached.entry.body);
+    }
+
+    if (res.ok) {
+      const body = await res.text();
+      const data = JSON.parse(body);
+      if (cacheable) await storeResponse(url, res, body);
+      return data;
+    }
+
+    // A 404 will not go away on retry (unpublished or unknown package)
+    if (attempt === retries || res.status === 404) {
+      scheduler.count(url, 'failed');
+      const err = new Error(`Fetch failed ${res.status} ${res.statusText} for ${url}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    await retryAfterError(url, attempt);
+  }
+}
+
+export async function fetchText(url, retries = 3, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  let cached;
+  try {
+    cached = await readCached(url);
+  } catch {
+    return ''; // offline and not cached: treat like any other failed page
+  }
+  if (cached.fresh) return cached.entry.body;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const ac = new globalThis.AbortController();
+    const to = setNodeTimeout(() => ac.abort(), Math.max(1000, timeoutMs));
+    let res;
+    await scheduler.acquire(url);
+    try {
+      res = await fetch(url, {
+        signal: ac.signal,
+        headers: {
+          'user-agent': `npm-blast-radius/${pkg.version || '0.0.0'} (+https://www.npmjs.com)`,
+          accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          ...(cached.entry ? httpCache.conditionalHeaders(cached.entry) : {}),
+        },
+      });
+    } catch (e) {
+      clearNodeTimeout(to);
+      if (attempt === retries) {
+        scheduler.count(url, 'failed');
+        return '';
+      }
+      await retryAfterError(url, attempt);
+      continue;
+    } finally {
+      clearNodeTimeout(to);
+    }
+    if (res.status === 429) {
+      scheduler.throttle(url, throttleWait(res, attempt));
+      if (attempt < retries) {
+        scheduler.count(url, 'retries');
+        continue;
+      }
+    } else scheduler.succeed(url);
+    if (res.status === 304 && cached.entry) {
+      scheduler.count(url, 'not_modified');
+      await httpCache.touch(url, cached.entry);
+      return cached.entry.body;
+    }
+    if (res.ok) {
+      const body = await res.text();
+      await storeResponse(url, res, body);
+      return body;
+    }
+    if (attempt === retries) {
+      scheduler.count(url, 'failed');
+      return '';
+    }
+    await retryAfterError(url, attempt);
+  }
+}
+
+function tooLarge(url, maxBytes) {
+  // Not worth a retry: the next response is as large
+  return Object.assign(new Error(`Download of ${url} exceeds ${maxBytes} bytes`), {
+    code: 'ERR_TOO_LARGE',
+  });
+}
+
+async function readLimited(res, url, maxBytes) {
+  // The body, failing as soon as content-length or the bytes received exceed maxBytes
+  if (!maxBytes) return Buffer.from(await res.arrayBuffer());
+  if (Number(res.headers.get('content-length')) > maxBytes) throw tooLarge(url, maxBytes);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge(url, maxBytes);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+export async function fetchBuffer(url, retries = 3, timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = 0) {
+  // Binary downloads (tarballs) are immutable and large, so they bypass the response cache.
+  // maxBytes (0 for none) bounds what is held in memory.
+  if (httpCache?.offline) throw new Error(`offline: not downloading ${url}`);
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const ac = new globalThis.AbortController();
+    const to = setNodeTimeout(() => ac.abort(), Math.max(1000, timeoutMs));
+    let res;
+    await scheduler.acquire(url);
+    try {
+      res = await fetch(url, {
+        signal: ac.signal,
+        headers: {
+          'user-agent': `npm-blast-radius/${pkg.version || '0.0.0'} (+https://www.npmjs.com)`,
+          ...authHeaders(url),
+        },
+      });
+      // Read the body before the timeout is cleared
+      if (res.ok) {
+        const body = await readLimited(res, url, maxBytes);
+        scheduler.succeed(url);
+        return body;
+      }
+    } catch (e) {
+      if (e?.code === 'ERR_TOO_LARGE') {
+        // Stop the download rather than leave it running
+        ac.abort();
+        scheduler.count(url, 'failed');
+        throw e;
+      }
+      if (attempt === retries) {
+        scheduler.count(url, 'failed');
+        throw new Error(`Fetch error for ${url}: ${e?.message || e}`);
+      }
+      await retryAfterError(url, attempt);
+      continue;
+    } finally {
+      clearNodeTimeout(to);
+    }
+    if (res.status === 429) {
+      scheduler.throttle(url, throttleWait(res, attempt));
+      if (attempt < retries) {
+        scheduler.count(url, 'retries');
+        continue;
+      }
+    } else scheduler.succeed(url);
+    if (attempt === retries || res.status === 404) {
+      scheduler.count(url, 'failed');
+      throw new Error(`Fetch failed ${res.status} ${res.statusText} for ${url}`);
+    }
+    await retryAfterError(url, attempt);
+  }
+}
+
+export function encodePkg(name) {
+  return name.startsWith('@') ? name.replace('/', '%2F') : name;
+}
+
+export async function getPackageMetadata(name, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  // Scoped packages come from their scope's registry when .npmrc configures one
+  const url = `${registries.registryFor(name)}/${encodePkg(name)}`;
+  return fetchJSON(url, {}, 3, timeoutMs);
+}
@@ -0,0 +1,986 @@
+// Type declarations for the library API (src/index.js). Row fields mirror src/schema.js; see
+// docs/data-dictionary.md for what each column means.
+
+export type DependencyType = 'dep' | 'peer' | 'dev' | '';
+export type DependentSource =
+  | 'index'
+  | 'private'
+  | 'npms'
+  | 'libraries'
+  | 'scraped'
+  | 'depsdev'
+  | 'ecosystems'
+  | '';
+export type SpecKind =
+  | 'version'
+  | 'range'
+  | 'tag'
+  | 'alias'
+  | 'git'
+  | 'tarball'
+  | 'file'
+  | 'workspace'
+  | 'link'
+  | 'invalid';
+/** Impact columns for specs that install from outside the registry (git, tarball, file…). */
+export type Unresolvable = 'unresolvable';
+
+/** One row per dependent of a source package (the CLI's csv/ndjson/json row). */
+export interface DependentRow {
+  source_package: string;
+  source_version: string;
+  advisory_id: string;
+  dependent: string;
+  dependent_version_range: string;
+  spec_kind: SpecKind | '';
+  dependent_latest_version: string;
+  last_update: string;
+  dependent_matched_version: string;
+  dependency_type: DependencyType;
+  is_dev_dependency: boolean;
+  source_version_satisfies: boolean | Unresolvable;
+  dependent_source: DependentSource;
+  compromised_versions: string;
+  compromised_published_at: string;
+  compromised_from: string;
+  compromised_until: string;
+  published_in_window: boolean;
+  dependent_version_published_at: string;
+  resolved_at_dependent_release: string;
+  resolved_now: string;
+  resolution_notes: string;
+  likely_impacted_at_release: boolean | Unresolvable;
+  still_impacted_now: boolean | Unresolvable;
+  uses_exact_pin: boolean;
+  shipped_version: string;
+  shipped_via: 'bundled' | 'shrinkwrap' | '';
+  depth: number;
+  path: string;
+  weekly_downloads: number | '';
+  dependents_count: number | '';
+  risk_score: number;
+  risk_factors: string;
+  error: string;
+}
+
+/** DependentRow plus the columns added with `contacts: true` (CLI --contacts). */
+export interface DependentContactRow extends DependentRow {
+  maintainers: string;
+  maintainer_emails: string;
+  repository_url: string;
+  bugs_url: string;
+  homepage: string;
+  funding_url: string;
+}
+
+/** One row per installed compromised instance found by the `scan` subcommand. */
+export interface ScanRow {
+  source_package: string;
+  source_version: string;
+  advisory_id: string;
+  project: string;
+  lockfile: string;
+  lockfile_type: string;
+  installed_version: string;
+  dependency_path: string;
+  install_location: string;
+  is_dev_dependency: boolean;
+  is_optional_dependency: boolean;
+  is_peer_dependency: boolean;
+  error: string;
+}
+
+export type Change = 'added' | 'removed' | 'regressed' | 'remediated' | 'changed' | 'unchanged';
+type Impact = boolean | Unresolvable | '';
+
+/** One row per dependent that differs between two outputs (the `diff` subcommand). */
+export interface DiffRow {
+  source_package: string;
+  source_version: string;
+  advisory_id: string;
+  dependent: string;
+  change: Change;
+  changed_fields: string;
+  before_still_impacted_now: Impact;
+  after_still_impacted_now: Impact;
+  before_likely_impacted_at_release: Impact;
+  after_likely_impacted_at_release: Impact;
+  before_dependent_latest_version: string;
+  after_dependent_latest_version: string;
+  before_dependent_version_range: string;
+  after_dependent_version_range: string;
+}
+
+export interface RowSchema<Row> {
+  name: string;
+  fields: Array<keyof Row & string>;
+  defaults: Row;
+}
+
+export const DEPENDENT_ROW: RowSchema<DependentRow>;
+export const DEPENDENT_CONTACT_ROW: RowSchema<DependentContactRow>;
+export const SCAN_ROW: RowSchema<ScanRow>;
+export const DIFF_ROW: RowSchema<DiffRow>;
+export function makeRow<Row>(schema: RowSchema<Row>, values?: Partial<Row> | null): Row;
+
+// ---- analysis ----
+
+type Limit = <T>(fn: () => Promise<T> | T) => Promise<T>;
+
+export interface AnalyzeOptions {
+  /** Include devDependencies when discovering and matching (default false). */
+  includeDev?: boolean;
+  /** Include peerDependencies (default true). */
+  includePeer?: boolean;
+  /** Cap on dependents per package; 0 means no cap (default 0). */
+  maxDependents?: number;
+  /** Hops to follow through impacted dependents (default 1). */
+  depth?: number;
+  /** Concurrent dependent lookups, ignored when `limit` is given (default 8). */
+  concurrency?: number;
+  /** Shared p-limit instance, e.g. to bound several analyses together. */
+  limit?: Limit;
+  /** Per-request timeout in milliseconds. */
+  timeout?: number;
+  /** Skip the Libraries.io fallback. */
+  noLibraries?: boolean;
+  /** Skip the npm website scraping fallback. */
+  noScrape?: boolean;
+  /** Discovery providers in order (default npms, libraries, scraped). */
+  sources?: string | Array<string | DiscoveryProvider> | null;
+  /** 'fallback' (default) asks later providers only while short of dependents; 'union' always. */
+  sourcesMode?: SourcesMode;
+  /** Package names (e.g. private ones) checked for dependents besides the other sources. */
+  privatePackages?: string[] | null;
+  /** Suppress progress logging (default true for library callers). */
+  quiet?: boolean;
+  verbose?: boolean;
+  /** Log progress every N dependents when not quiet (default 25). */
+  progress?: number;
+  /** Where progress messages go (default console.log). */
+  log?: ((message: string) => void) | null;
+  /** One row per impacted dependent version instead of one per dependent. */
+  allVersions?: boolean;
+  /** Read shrinkwraps and bundled copies from dependents' tarballs (shipped_version). */
+  inspectTarballs?: boolean;
+  /** Add the contact columns of DependentContactRow. */
+  contacts?: boolean;
+  /** Reverse-dependency index queried before the other discovery sources. */
+  index?: DependencyIndex | null;
+  /** Checkpoint from the CLI's --checkpoint support. */
+  checkpoint?: unknown;
+  /** Called when a hop node's dependents are discovered and after each one is processed. */
+  onProgress?:
+    | ((progress: { path: string; depth: number; processed: number; total: number }) => void)
+    | null;
+}
+
+export interface AnalyzeRequest {
+  /** Source package name. */
+  package: string;
+  /** Compromised versions: a list, or a `|`-separated spec of versions and semver ranges. */
+  versions?: string | string[];
+  /** Copied into every row's advisory_id. */
+  advisoryId?: string;
+  /** Compromise window: when the compromised versions were live. */
+  compromisedFrom?: string | Date | null;
+  compromisedUntil?: string | Date | null;
+  options?: AnalyzeOptions;
+}
+
+/** Runs the blast-radius analysis for one package, yielding rows as they are produced. */
+export function analyzeBlastRadius(
+  request: AnalyzeRequest,
+): AsyncGenerator<DependentRow | DependentContactRow, void>;
+
+export interface CompromiseWindow {
+  from: Date | null;
+  until: Date | null;
+}
+
+export function processPackage(
+  targetName: string,
+  targetVersion: string,
+  includeDev: boolean,
+  includePeer: boolean,
+  limit: Limit,
+  maxDependents: number,
+  onRow: (row: DependentRow) => void,
+  args: AnalyzeOptions,
+  checkpoint?: unknown,
+  window?: CompromiseWindow | null,
+): Promise<void>;
+
+// ---- discovery ----
+
+export type SourcesMode = 'fallback' | 'union';
+
+export interface DiscoveryProvider {
+  /** Used in --sources and reported in dependent_source. */
+  name: string;
+  description?: string;
+  /** Whether it can list dependents through devDependencies / peerDependencies. */
+  capabilities: { dev: boolean; peer: boolean };
+  /** Relies on an undocumented API; its lookup errors are printed even without verbose. */
+  experimental?: boolean;
+  listDependents(
+    name: string,
+    options: {
+      includeDev: boolean;
+      includePeer: boolean;
+      /** How many more names are wanted; 0 for no cap. */
+      max: number;
+      timeoutMs: number;
+      verbose: boolean;
+      /** Where verbose messages go (console.log, or console.error when rows use stdout). */
+      log: (message: string) => void;
+    },
+  ): AsyncIterable<string>;
+}
+
+export const PROVIDERS: DiscoveryProvider[];
+export const DEFAULT_SOURCES: string[];
+export const SOURCES_MODES: SourcesMode[];
+/** Providers for "npms,depsdev" or a list of names (default: DEFAULT_SOURCES less disabled ones). */
+export function resolveSources(
+  sources?: string | Array<string | DiscoveryProvider> | null,
+  options?: { noLibraries?: boolean; noScrape?: boolean },
+): DiscoveryProvider[];
+export function indexProvider(index: DependencyIndex): DiscoveryProvider;
+/** Checks each listed package's packument for a dependency on the package (dependent_source 'private'). */
+export function privatePackagesProvider(names: string[]): DiscoveryProvider;
+
+export interface DiscoveryResult {
+  names: string[];
+  /** New names added per provider asked, in the order they were asked. */
+  stats: Record<string, number>;
+  sources: Map<string, DependentSource>;
+}
+
+export function fetchAllDependents(
+  name: string,
+  includeDev?: boolean,
+  includePeer?: boolean,
+  max?: number,
+  verbose?: boolean,
+  options?: {
+    noLibraries?: boolean;
+    noScrape?: boolean;
+    timeoutMs?: number;
+    index?: DependencyIndex | null;
+    /** Package names to check for dependents besides the other sources. */
+    privatePackages?: string[] | null;
+    /** Default DEFAULT_SOURCES. */
+    sources?: string | Array<string | DiscoveryProvider> | null;
+    /** Default 'fallback'. */
+    sourcesMode?: SourcesMode;
+    /** Verbose messages; default console.log. */
+    log?: (message: string) => void;
+  },
+): Promise<DiscoveryResult>;
+/** Runtime dependents of a package (index first, then npms.io); null when unknown. */
+export function countDependents(
+  name: string,
+  options?: { index?: DependencyIndex | null; timeoutMs?: number },
+): Promise<number | null>;
+export function fetchDependentsFromLibrariesIO(
+  name: string,
+  max?: number,
+  timeoutMs?: number,
+): Promise<string[]>;
+export function fetchDependentsFromNpmWebsite(
+  name: string,
+  max?: number,
+  timeoutMs?: number,
+): Promise<string[]>;
+
+// ---- reverse-dependency index ----
+
+/** dependent -> kind -> declared spec -> versions of the dependent declaring it */
+export type IndexEntry = Record<
+  string,
+  Partial<Record<'dep' | 'peer' | 'dev', Record<string, string[]>>>
+>;
+
+export interface DependencyIndex {
+  readonly dir: string;
+  readonly feed: string | null;
+  readonly since: string | number;
+  readonly packages: number;
+  readonly updatedAt: string | null;
+  lookup(name: string): Promise<IndexEntry>;
+  dependents(
+    name: string,
+    options?: { includeDev?: boolean; includePeer?: boolean },
+  ): Promise<string[]>;
+  /** Replaces the edges recorded for a package with those of its packument (null: deleted). */
+  apply(name: string, packument: Packument | null): Promise<void>;
+  flush(since?: string | number, feed?: string): Promise<void>;
+}
+
+export const DEFAULT_CHANGES_URL: string;
+export function defaultIndexDir(): string;
+/** Resolves to null when dir holds no index, unless create is set. */
+export function openDependencyIndex(
+  dir?: string,
+  options?: { create?: boolean },
+): Promise<DependencyIndex | null>;
+export function followChanges(
+  index: DependencyIndex,
+  options?: {
+    feed?: string;
+    since?: string | number;
+    batch?: number;
+    maxChanges?: number;
+    includeDocs?: boolean;
+    follow?: boolean;
+    intervalMs?: number;
+    concurrency?: number;
+    timeoutMs?: number;
+    signal?: AbortSignal | null;
+    onBatch?: (progress: { since: string | number; changes: number; processed: number }) => void;
+  },
+): Promise<{ since: string | number; processed: number }>;
+
+// ---- version resolution ----
+
+export interface VersionDate {
+  version: string;
+  date: Date;
+}
+
+/** An npm registry packument (only the fields used here are typed). */
+export interface Packument {
+  name?: string;
+  'dist-tags'?: Record<string, string>;
+  time?: Record<string, string>;
+  versions?: Record<string, Record<string, any>>;
+  [key: string]: any;
+}
+
+export interface DependencyRangeMatch {
+  range: string | null;
+  latestVersion: string | null;
+  isDev: boolean;
+  dependencyType: DependencyType | null;
+  matchedVersion: string;
+}
+
+export function getPackageMetadata(name: string, timeoutMs?: number): Promise<Packument>;
+export function listVersionDatesFromTimeMap(
+  timeMap: Record<string, string> | null | undefined,
+): VersionDate[];
+export function splitVersionSpec(spec: string | null | undefined): string[];
+/** keepUnlisted keeps exact versions missing from timeMap (rows with a compromise window). */
+export function expandCompromisedVersions(
+  spec: string | null | undefined,
+  timeMap: Record<string, string> | null | undefined,
+  options?: { keepUnlisted?: boolean },
+): string[];
+export function versionMatchesSpec(version: string, spec: string): boolean;
+export function findDependencyRange(
+  pkgMeta: Packument,
+  targetName: string,
+  includeDev?: boolean,
+  includePeer?: boolean,
+): DependencyRangeMatch;
+export function satisfies(version: string, range: string): boolean;
+export function isExactPin(range: string, compromisedVersion?: string | null): boolean;
+
+// ---- Dependency specs ----
+
+export const UNRESOLVABLE: Unresolvable;
+export type ParsedSpec =
+  | { kind: 'version' | 'range'; range: string }
+  | { kind: 'tag'; tag: string }
+  | { kind: 'alias'; name: string; spec: ParsedSpec }
+  | { kind: 'git' | 'tarball' | 'file' | 'workspace' | 'link' | 'invalid' };
+export function parseSpec(spec: string | null | undefined): ParsedSpec;
+/** The version/range/tag part of a spec resolvable from the registry (an alias's own spec). */
+export function registryTarget(spec: ParsedSpec): ParsedSpec | null;
+/** Spec declared for targetName in a dependencies map, directly or through an npm: alias. */
+export function declaredSpec(
+  deps: Record<string, string> | null | undefined,
+  targetName: string,
+): string | null;
+
+// ---- Resolution ----
+
+export interface Resolution {
+  version: string | null;
+  /** Why the version differs from the highest satisfying one, if it does. */
+  notes: string[];
+}
+export interface Resolver {
+  /** Publish timeline from the packument's time map (unpublished versions included). */
+  timeline: VersionDate[];
+  /** npm's pick today: latest tag first, deprecated versions avoided, unpublished excluded. */
+  now(range: string): Resolution;
+  /** npm's pick at a past date, with an inferred latest tag and no deprecation history. */
+  at(
+    range: string,
+    atDate: Date | null,
+    options?: { compromised?: string[]; window?: CompromiseWindow | null },
+  ): Resolution;
+  /** Today's target of a dist-tag (deprecations do not matter for tags). */
+  tagNow(tag: string): Resolution;
+  /** A dist-tag at a past date: `latest` is inferred, others assumed unchanged if out by then. */
+  tagAt(
+    tag: string,
+    atDate: Date | null,
+    options?: { compromised?: string[]; window?: CompromiseWindow | null },
+  ): Resolution;
+  /** Both resolutions of a declared spec; null for specs from outside the registry. */
+  resolve(
+    spec: string,
+    atDate: Date | null,
+    options?: { compromised?: string[]; window?: CompromiseWindow | null },
+  ): { kind: SpecKind; atRelease: Resolution | null; now: Resolution | null };
+}
+export function createResolver(packument: Packument | null): Resolver;
+export function impactedVersionsOf(
+  pkgMeta: Packument,
+  targetName: string,
+  targetResolver: Resolver,
+  compromised: string[],
+  includePeer: boolean,
+  window?: CompromiseWindow | null,
+): string[];
+
+// ---- HTTP cache ----
+
+export interface HttpCache {
+  dir: string;
+  offline: boolean;
+  [key: string]: unknown;
+}
+
+export function defaultCacheDir(): string;
+export function createHttpCache(options?: {
+  dir?: string;
+  ttlMs?: number;
+  offline?: boolean;
+}): HttpCache;
+/** Routes registry and discovery requests through cache (null disables caching). */
+export function configureHttpCache(cache: HttpCache | null): void;
+
+// ---- registries ----
+
+export const DEFAULT_REGISTRY: string;
+
+export interface Registries {
+  /** Default registry URL, without a trailing slash. */
+  registry: string;
+  /** Registry per scope ("@corp"). */
+  scopes: Record<string, string>;
+  registryFor(packageName: string): string;
+  /** Authorization header value for a URL under a registry with credentials, else null. */
+  authorization(url: string): string | null;
+}
+
+/** key=value settings of .npmrc text, with ${VAR} references expanded from env. */
+export function parseNpmrc(
+  text: string,
+  env?: Record<string, string | undefined>,
+): Record<string, string>;
+/** Merged global, user and project .npmrc settings plus npm_config_* registry variables. */
+export function readNpmrc(options?: {
+  cwd?: string;
+  env?: Record<string, string | undefined>;
+  /** Read these files instead of the usual three. */
+  files?: string[];
+}): { config: Record<string, string>; files: string[] };
+/** registry overrides the config's default registry; token authenticates to it if nothing else does. */
+export function createRegistries(
+  config?: Record<string, string>,
+  options?: { registry?: string | null; token?: string | null },
+): Registries;
+/** Routes getPackageMetadata and credentials; by default NPM_REGISTRY and NPM_TOKEN only. */
+export function configureRegistries(registries: Registries): void;
+
+// ---- rate limits ----
+
+/** Counters for one host; cached and not_modified responses are not requests to it. */
+export interface HostReport {
+  host: string;
+  requests: number;
+  cached: number;
+  not_modified: number;
+  retries: number;
+  throttled: number;
+  failed: number;
+  throttled_ms: number;
+  queued_ms: number;
+  /** Current requests per second (lowered after 429s). */
+  rate: number;
+}
+
+export interface HostScheduler {
+  acquire(url: string): Promise<void>;
+  throttle(url: string, waitMs: number): void;
+  succeed(url: string): void;
+  count(url: string, counter: 'cached' | 'not_modified' | 'retries' | 'failed'): void;
+  report(): HostReport[];
+}
+
+/** Requests per second per host name (host:port for other ports). */
+export const DEFAULT_RATES: Record<string, number>;
+export function createHostScheduler(options?: {
+  rates?: Record<string, number>;
+  /** For hosts not in rates or DEFAULT_RATES (default 20). */
+  defaultRate?: number;
+}): HostScheduler;
+export function configureHostScheduler(scheduler: HostScheduler): void;
+/** Per-host counters of every request made so far, busiest host first. */
+export function requestReport(): HostReport[];
+
+// ---- input ----
+
+export interface InputRow {
+  package: string;
+  version: string;
+  advisory_id: string;
+  /** ISO timestamps, '' when not given. */
+  compromised_from: string;
+  compromised_until: string;
+}
+
+/** Reads a CSV (package,version[,advisory_id]) or OSV/GitHub advisory JSON file or directory. */
+export function readInput(file: string): Promise<InputRow[]>;
+/** Package names from a file with one per line (# comments allowed). */
+export function readPackageList(file: string): Promise<string[]>;
+export type AdvisoryRow = Pick<InputRow, 'package' | 'version' | 'advisory_id'>;
+export function readAdvisories(path: string): Promise<AdvisoryRow[]>;
+export function rowsFromAdvisory(advisory: unknown): AdvisoryRow[];
+
+// ---- lockfiles ----
+
+export interface LockfileInstance {
+  name: string;
+  version: string;
+  location: string;
+  path: string[];
+  dev: boolean;
+  optional: boolean;
+  peer: boolean;
+}
+
+export function findLockfiles(dir: string, recursive?: boolean): Promise<string[]>;
+export function readLockfile(
+  file: string,
+): Promise<{ type: string; instances: LockfileInstance[] }>;
+/** Parses lockfile text; name is the lockfile's file name, which selects the format. */
+export function parseLockfile(
+  name: string,
+  text: string,
+  manifest?: Record<string, any> | null,
+  rootName?: string,
+): { type: string; instances: LockfileInstance[] };
+
+// ---- tarballs ----
+
+/** The version of targetName a dependent version ships (bundled or via its shrinkwrap), if any. */
+export function inspectShipped(
+  manifest: Record<string, any>,
+  targetName: string,
+  timeoutMs?: number,
+): Promise<{ version: string; via: 'bundled' | 'shrinkwrap' } | null>;
+/** Files of an uncompressed tar, keyed by path without the top directory. */
+export function readTarEntries(tar: Buffer, wanted: (path: string) => boolean): Map<string, Buffer>;
+
+// ---- risk ----
+
+export interface Popularity {
+  weeklyDownloads: number | null;
+  dependents: number | null;
+}
+
+export function fetchWeeklyDownloads(name: string, timeoutMs?: number): Promise<number | null>;
+export function fetchPopularity(
+  name: string,
+  options?: { index?: DependencyIndex | null; timeoutMs?: number },
+): Promise<Popularity>;
+/** risk_score and risk_factors for a row; rows not impacted score 0. */
+export function scoreRisk(
+  row: Partial<DependentRow>,
+  popularity?: Partial<Popularity>,
+  now?: number,
+): { risk_score: number; risk_factors: string };
+/** Array.prototype.sort comparator putting the highest risk first. */
+export function compareRisk(a: Partial<DependentRow>, b: Partial<DependentRow>): number;
+
+// ---- outreach ----
+
+export type Contacts = Pick<
+  DependentContactRow,
+  'maintainers' | 'maintainer_emails' | 'repository_url' | 'bugs_url' | 'homepage' | 'funding_url'
+>;
+
+export function contactsOf(packument: Packument): Contacts;
+export function normalizeRepositoryUrl(
+  repository: string | { url?: string; directory?: string },
+): string;
+
+export const DEFAULT_TEMPLATE: string;
+export function renderTemplate(template: string, context: Record<string, unknown>): string;
+/** Writes one Markdown draft per impacted dependent; resolves to the written paths. */
+export function writeOutreachDrafts(
+  rows: Array<Partial<DependentContactRow>>,
+  outDir: string,
+  options?: { template?: string; all?: boolean },
+): Promise<string[]>;
+
+// ---- output ----
+
+export type OutputFormat = 'csv' | 'ndjson' | 'json' | 'sarif' | 'html';
+
+export const FORMATS: OutputFormat[];
+
+export interface RowWriter<Row> {
+  readonly wroteHeader: boolean;
+  readonly count: number;
+  write(row: Row): void;
+  close(): Promise<void>;
+}
+
+export function openRowWriter<Row>(
+  outPath: string,
+  options: {
+    schema: RowSchema<Row>;
+    format?: OutputFormat;
+    append?: boolean;
+    /** Columns to write, in order (csv, ndjson and json only); "-" as outPath is stdout. */
+    columns?: Array<keyof Row & string> | null;
+  },
+): Promise<RowWriter<Row>>;
+/** Rows of a csv, ndjson or json output; CSV values are typed back using the schema. */
+export function readRows<Row>(
+  file: string,
+  schema: RowSchema<Row>,
+  format?: OutputFormat,
+): Promise<Row[]>;
+/** Per source package (and version spec) counts, as used in the json output summary. */
+export function summarize<Row>(
+  schema: RowSchema<Row>,
+  rows: Row[],
+): Array<Record<string, string | number>>;
+
+// ---- query ----
+
+/** Compiles a --where expression; unknown columns and syntax errors throw. */
+export function compileWhere<Row>(
+  expr: string,
+  schema: RowSchema<Row>,
+): (row: Partial<Row>) => boolean;
+/** Comparator for "column[:asc|desc],…"; empty values sort last. */
+export function compareBy<Row>(
+  spec: string,
+  schema: RowSchema<Row>,
+): (a: Partial<Row>, b: Partial<Row>) => number;
+export function selectColumns<Row>(list: string, schema: RowSchema<Row>): Array<keyof Row & string>;
+export interface QueryOptions {
+  where?: string | null;
+  sort?: string | null;
+  columns?: string | null;
+}
+export function compileQuery<Row>(
+  options: QueryOptions,
+  schema: RowSchema<Row>,
+): {
+  filter: ((row: Partial<Row>) => boolean) | null;
+  compare: ((a: Partial<Row>, b: Partial<Row>) => number) | null;
+  columns: Array<keyof Row & string> | null;
+};
+/** Rows of an analysis, scan or diff output with the schema they were written with. */
+export function readResults(
+  file: string,
+  format?: OutputFormat,
+): Promise<{
+  schema:
+    | RowSchema<DependentRow>
+    | RowSchema<DependentContactRow>
+    | RowSchema<ScanRow>
+    | RowSchema<DiffRow>;
+  rows: Array<Record<string, unknown>>;
+}>;
+
+// ---- impact summary ----
+
+export type PublishedBucket = 'before' | '0-1d' | '1-7d' | '7-30d' | '30-90d' | '90d+' | 'unknown';
+export type ErrorCause =
+  | 'offline'
+  | 'not-found'
+  | 'unauthorized'
+  | 'rate-limited'
+  | 'server-error'
+  | 'http-error'
+  | 'timeout'
+  | 'network'
+  | 'invalid-response'
+  | 'other';
+
+export const PUBLISHED_BUCKETS: PublishedBucket[];
+
+/** One per source package and compromised version its spec expanded to. */
+export interface ImpactSummary {
+  source_package: string;
+  /** The input version spec. */
+  source_version: string;
+  /** "" when the spec matched no published version. */
+  compromised_version: string;
+  advisory_id: string;
+  rows: number;
+  /** Counts below are of dependents, except errors (rows). */
+  dependents: number;
+  /** Keyed by dependency_type; "none" when no version declares the package. */
+  dependency_types: Record<string, number>;
+  impacted_at_release: number;
+  impacted_now: number;
+  exact_pins: number;
+  unresolvable: number;
+  errors: number;
+  error_causes: Partial<Record<ErrorCause, number>>;
+  published_after_compromise: Record<PublishedBucket, number>;
+  top_resolved_now: Array<{ version: string; dependents: number; compromised: boolean }>;
+}
+
+export function errorCause(message: string): ErrorCause;
+export function createImpactSummary(options?: { top?: number }): {
+  add(row: Partial<DependentRow>): void;
+  result(): ImpactSummary[];
+};
+export function renderSummaryMarkdown(summary: ImpactSummary[], generatedAt?: string): string;
+/** Writes JSON or Markdown, by the file's extension (.json, .md). */
+export function writeSummary(file: string, summary: ImpactSummary[]): Promise<void>;
+
+// ---- graph ----
+
+export type GraphFormat = 'dot' | 'graphml' | 'cytoscape';
+export type GraphImpact =
+  | 'compromised'
+  | 'impacted-now'
+  | 'impacted-at-release'
+  | 'unresolvable'
+  | 'error'
+  | 'none';
+
+export const GRAPH_FORMATS: GraphFormat[];
+/** Most severe first. */
+export const IMPACTS: GraphImpact[];
+
+export interface GraphNode {
+  id: string;
+  kind: 'source' | 'dependent';
+  latest_version: string;
+  last_update: string;
+  compromised_versions: string;
+  impact: GraphImpact;
+  risk_score: number;
+}
+
+export interface GraphEdge {
+  /** The package declared: the source package, or the dependent one hop closer to it. */
+  source: string;
+  /** The dependent declaring it. */
+  target: string;
+  source_package: string;
+  dependency_type: DependencyType;
+  dependent_version_range: string;
+  impact: GraphImpact;
+  depth: number;
+}
+
+export interface BlastRadiusGraph {
+  nodes: Map<string, GraphNode>;
+  edges: Map<string, GraphEdge>;
+  addRow(row: Partial<DependentRow>): void;
+}
+
+export function impactOf(row: Partial<DependentRow>): GraphImpact;
+export function createGraph(): BlastRadiusGraph;
+export function renderDot(graph: BlastRadiusGraph): string;
+export function renderGraphml(graph: BlastRadiusGraph): string;
+export function renderCytoscape(graph: BlastRadiusGraph): string;
+/** Writes DOT, GraphML or Cytoscape JSON, by the file's extension. */
+export function writeGraph(file: string, graph: BlastRadiusGraph): Promise<void>;
+
+// ---- SQLite ----
+
+export interface ResultsDb {
+  readonly file: string;
+  readonly runId: number;
+  /** Rows upserted so far. */
+  readonly count: number;
+  /** Upserts a row on (source_package, source_version, dependent). */
+  write(row: Partial<DependentContactRow>): void;
+  /** Commits, records the run's end and closes the database. */
+  close(): void;
+}
+
+/** Opens or creates a results database (needs better-sqlite3) and records a run in it. */
+export function openResultsDb(
+  file: string,
+  run?: { command?: string; input?: string; options?: Record<string, unknown> },
+): Promise<ResultsDb>;
+
+// ---- diff ----
+
+export const CHANGES: Change[];
+/** Diff rows for every dependent in either output, unchanged ones included. */
+export function diffRows(
+  before: Array<Partial<DependentRow>>,
+  after: Array<Partial<DependentRow>>,
+): DiffRow[];
+export function summarizeDiff(
+  rows: DiffRow[],
+): Array<{ source_package: string } & Record<Change, number>>;
+
+// ---- watch ----
+
+export interface WatchTarget {
+  source_package: string;
+  source_version: string;
+  advisory_id: string;
+  dependent: string;
+  path: string;
+  /** The package the dependent declares (the source package on the first hop). */
+  parent: string;
+  dependency_type: DependencyType;
+  compromised: string[];
+  dependent_latest_version: string;
+  dependent_version_range: string;
+  resolved_now: string;
+}
+
+interface WatchEventBase {
+  at: string;
+  source_package: string;
+  source_version: string;
+  advisory_id: string;
+  dependent: string;
+  path: string;
+  dependent_latest_version: string;
+  dependent_version_range: string;
+  resolved_now: string;
+}
+export interface RemediatedEvent extends WatchEventBase {
+  event: 'remediated';
+  reason: 'new-release' | 'dependency-removed' | 'source-fixed';
+  previous_latest_version: string;
+  previous_version_range: string;
+  previous_resolved_now: string;
+}
+export interface NewDependentEvent extends WatchEventBase {
+  event: 'new-dependent';
+  /** Empty when the dependent could not be checked. */
+  still_impacted_now: boolean | '';
+}
+export type WatchEvent = RemediatedEvent | NewDependentEvent;
+
+export interface WatchOptions {
+  /** Default 300000 (5 minutes). */
+  intervalMs?: number;
+  once?: boolean;
+  /** Re-run discovery each cycle; reports dependents a snapshot taken before the first cycle did not list (default true). */
+  discover?: boolean;
+  includeDev?: boolean;
+  includePeer?: boolean;
+  concurrency?: number;
+  timeoutMs?: number;
+  noLibraries?: boolean;
+  noScrape?: boolean;
+  sources?: string | Array<string | DiscoveryProvider> | null;
+  sourcesMode?: SourcesMode;
+  privatePackages?: string[] | null;
+  index?: DependencyIndex | null;
+  signal?: AbortSignal | null;
+  onEvent?: ((event: WatchEvent) => void | Promise<void>) | null;
+  /** A failed check; it is retried next cycle. */
+  onError?: ((name: string, error: unknown) => void) | null;
+  onCycle?:
+    | ((info: { cycle: number; remediated: number; added: number; watching: number }) => void)
+    | null;
+}
+
+/** Still-impacted dependents of an analysis output, keyed by source package and path. */
+export function watchTargets(rows: Array<Partial<DependentRow>>): Map<string, WatchTarget>;
+/** Polls until options.signal aborts (or once); resolves with the number still impacted. */
+export function watchImpacted(
+  rows: Array<Partial<DependentRow>>,
+  options?: WatchOptions,
+): Promise<{ cycles: number; watching: number }>;
+export function postWebhook(url: string, event: WatchEvent, timeoutMs?: number): Promise<void>;
+
+// ---- serve ----
+
+export type JobStatus = 'queued' | 'running' | 'done' | 'failed';
+export const JOB_STATUSES: JobStatus[];
+
+/** Analysis options a POST /analyses request may set. */
+export type JobOptions = Pick<
+  AnalyzeOptions,
+  | 'depth'
+  | 'maxDependents'
+  | 'includeDev'
+  | 'includePeer'
+  | 'allVersions'
+  | 'contacts'
+  | 'inspectTarballs'
+  | 'noLibraries'
+  | 'noScrape'
+>;
+
+export interface JobSubmission {
+  package: string;
+  /** `|`-separated version spec. */
+  versions: string;
+  advisory_id: string;
+  /** ISO timestamps or null. */
+  compromised_from: string | null;
+  compromised_until: string | null;
+  options: JobOptions;
+}
+
+export interface Job extends JobSubmission {
+  id: string;
+  status: JobStatus;
+  submittedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  error: string | null;
+  rows: Array<DependentRow | DependentContactRow>;
+}
+
+export interface ServerOptions {
+  /** Concurrent HTTP requests across all jobs (default 8). */
+  concurrency?: number;
+  /** Analyses running at once (default 2). */
+  jobs?: number;
+  /** Finished jobs kept in memory (default 100). */
+  keep?: number;
+  /** Cap on dependents per job; with 0, each job must set its own. */
+  maxDependents?: number;
+  /** Deepest depth a job may ask for (default 3). */
+  maxDepth?: number;
+  /** Queued jobs beyond which POST /analyses answers 503 (default 100). */
+  maxQueued?: number;
+  timeoutMs?: number;
+  noLibraries?: boolean;
+  noScrape?: boolean;
+  sources?: string | Array<string | DiscoveryProvider> | null;
+  sourcesMode?: SourcesMode;
+  privatePackages?: string[] | null;
+  index?: DependencyIndex | null;
+  /** Bearer token required on every endpoint but /health ('' for none). */
+  token?: string;
+  quiet?: boolean;
+}
+
+/** The serve subcommand's REST API; configure the HTTP cache before listening. */
+export function createServer(options?: ServerOptions): {
+  server: import('node:http').Server;
+  jobs: Map<string, Job>;
+  submit(submission: JobSubmission): Job;
+  listen(port?: number, host?: string): Promise<import('node:net').AddressInfo>;
+  close(): Promise<void>;
+};
@@ -0,0 +1,96 @@
+import { readFile, stat } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { resolve } from 'node:path';
+import Papa from 'papaparse';
+import { isAdvisoryInput, readAdvisories } from './advisories.js';
+
+function windowBound(value, column, pkgName) {
+  // Compromise window bounds are normalized to ISO timestamps ('' when not given)
+  if (!value) return '';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime()))
+    throw new Error(`Invalid ${column} "${value}" for ${pkgName} (expected a date or timestamp)`);
+  return d.toISOString();
+}
+
+export function mergeInputRows(rows) {
+  // Rows for the same package are merged into one version set so each dependent is
+  // evaluated once per package; their compromise windows merge into one covering both.
+  const merged = new Map();
+  const join = (a, b) => (a && b && !a.split('|').includes(b) ? `${a}|${b}` : a || b);
+  const earliest = (a, b) => (a && b ? (a < b ? a : b) : a || b);
+  const latest = (a, b) => (a && b ? (a > b ? a : b) : a || b);
+  for (const r of rows) {
+    const prev = merged.get(r.package);
+    if (!prev) merged.set(r.package, { ...r });
+    else {
+      prev.version = join(prev.version, r.version);
+      prev.advisory_id = join(prev.advisory_id, r.advisory_id);
+      prev.compromised_from = earliest(prev.compromised_from, r.compromised_from);
+      prev.compromised_until = latest(prev.compromised_until, r.compromised_until);
+    }
+  }
+  return Array.from(merged.values());
+}
+
+export async function readInput(file) {
+  const abs = resolve(process.cwd(), file);
+  const isDirectory = (await stat(abs)).isDirectory();
+  if (isAdvisoryInput(abs, isDirectory)) {
+    const rows = await readAdvisories(abs);
+    return mergeInputRows(
+      rows.map((r) => ({
+        package: r.package,
+        version: r.version,
+        advisory_id: r.advisory_id || '',
+        compromised_from: '',
+        compromised_until: '',
+      })),
+    );
+  }
+  return new Promise((resolveP, rejectP) => {
+    const rows = [];
+    Papa.parse(createReadStream(abs), {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (h) => h.trim().toLowerCase(),
+      step: (res, parser) => {
+        const r = res.data;
+        if (!r.package) return;
+        const name = r.package.trim();
+        try {
+          rows.push({
+            package: name,
+            version: (r.version || '').trim(),
+            advisory_id: (r.advisory_id || '').trim(),
+            compromised_from: windowBound(
+              (r.compromised_from || '').trim(),
+              'compromised_from',
+              name,
+            ),
+            compromised_until: windowBound(
+              (r.compromised_until || '').trim(),
+              'compromised_until',
+              name,
+            ),
+          });
+        } catch (e) {
+          rejectP(e);
+          parser.abort();
+        }
+      },
+      complete: () => resolveP(mergeInputRows(rows)),
+      error: (err) => rejectP(err),
+    });
+  });
+}
+
+export async function readPackageList(file) {
+  // One package name per line (blank lines and # comments skipped), e.g. --private-packages
+  const text = await readFile(resolve(process.cwd(), file), 'utf8');
+  const names = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+  return Array.from(new Set(names));
+}
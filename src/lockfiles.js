@@ -0,0 +1,398 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, join, posix } from 'node:path';
+import YAML from 'yaml';
+
+// Lockfile scanning: every supported format is turned into the same graph
+// (nodes keyed by lockfile location, edges tagged prod/dev/optional/peer) so dependency
+// paths and dev/optional/peer flags are computed by one walk.
+
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+export async function findLockfiles(dir, recursive = false) {
+  const out = [];
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    throw new Error(`Cannot read project directory ${dir}: ${e?.message || e}`);
+  }
+  for (const entry of entries) {
+    if (entry.isFile() && LOCKFILE_NAMES.includes(entry.name)) out.push(join(dir, entry.name));
+  }
+  if (recursive) {
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.'))
+        continue;
+      out.push(...(await findLockfiles(join(dir, entry.name), true)));
+    }
+  }
+  return out;
+}
+
+async function readManifest(dir) {
+  try {
+    return JSON.parse(await readFile(join(dir, 'package.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function splitNameVersion(spec) {
+  // "name@1.2.3" / "@scope/name@1.2.3": the version starts at the last "@" after position 0
+  const at = spec.lastIndexOf('@');
+  if (at <= 0) return { name: spec, version: '' };
+  return { name: spec.slice(0, at), version: spec.slice(at + 1) };
+}
+
+function manifestEdges(manifest) {
+  const edges = [];
+  const add = (deps, kind) => {
+    for (const [name, spec] of Object.entries(deps || {})) edges.push({ name, spec, kind });
+  };
+  add(manifest?.dependencies, 'prod');
+  add(manifest?.optionalDependencies, 'optional');
+  add(manifest?.peerDependencies, 'peer');
+  add(manifest?.devDependencies, 'dev');
+  return edges;
+}
+
+// ---- graph walk ----
+
+function reachable(graph, skipKinds) {
+  const seen = new Set();
+  const queue = graph.roots.filter((e) => !skipKinds.has(e.kind)).map((e) => e.to);
+  for (const id of queue) seen.add(id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const e of graph.nodes.get(id)?.edges || []) {
+      if (skipKinds.has(e.kind) || seen.has(e.to)) continue;
+      seen.add(e.to);
+      queue.push(e.to);
+    }
+  }
+  return seen;
+}
+
+function entryRoots(nodes) {
+  // Without the project's manifest (or importers), the entries nothing else depends on stand
+  // in for its direct dependencies, as production ones
+  const depended = new Set();
+  for (const node of nodes.values()) for (const e of node.edges) depended.add(e.to);
+  return [...nodes.keys()].filter((id) => !depended.has(id)).map((to) => ({ to, kind: 'prod' }));
+}
+
+function shortestPaths(graph) {
+  // BFS from the project root; the first path that reaches a node is its reported path.
+  const paths = new Map();
+  const queue = [];
+  for (const e of graph.roots) {
+    if (paths.has(e.to) || !graph.nodes.has(e.to)) continue;
+    paths.set(e.to, { path: [e.to], kind: e.kind });
+    queue.push(e.to);
+  }
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const from = paths.get(id);
+    for (const e of graph.nodes.get(id)?.edges || []) {
+      if (paths.has(e.to) || !graph.nodes.has(e.to)) continue;
+      paths.set(e.to, { path: [...from.path, e.to], kind: e.kind });
+      queue.push(e.to);
+    }
+  }
+  return paths;
+}
+
+function instancesFromGraph(graph) {
+  const paths = shortestPaths(graph);
+  // dev: unreachable without a dev edge; optional: unreachable without an optional edge.
+  // Lockfiles that record these flags themselves (npm) override the computed values.
+  const nonDev = reachable(graph, new Set(['dev']));
+  const nonOptional = reachable(graph, new Set(['optional']));
+  const out = [];
+  for (const [id, node] of graph.nodes) {
+    if (!node.version) continue;
+    const p = paths.get(id);
+    const names = p ? p.path.map((n) => graph.nodes.get(n)?.name || n) : [node.name];
+    out.push({
+      name: node.name,
+      version: node.version,
+      location: id,
+      path: [graph.rootName, ...names],
+      dev: node.flags?.dev ?? !nonDev.has(id),
+      optional: node.flags?.optional ?? !nonOptional.has(id),
+      peer: node.flags?.peer ?? p?.kind === 'peer',
+    });
+  }
+  return out;
+}
+
+// ---- npm: package-lock.json / npm-shrinkwrap.json ----
+
+function resolveNodeModules(packages, fromLocation, name) {
+  // Node's lookup: <dir>/node_modules/<name>, walking up to the project root
+  let dir = fromLocation;
+  while (true) {
+    const candidate = dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) return candidate;
+    if (!dir) return null;
+    const parent = posix.dirname(dir);
+    dir = parent === '.' ? '' : parent;
+  }
+}
+
+function flattenV1(deps, prefix, out) {
+  // lockfileVersion 1 nests { dependencies: { a: { dependencies: { b } } } }; rewrite it into
+  // v2-style "node_modules/a/node_modules/b" locations so both share resolution.
+  for (const [key, entry] of Object.entries(deps || {})) {
+    const location = `${prefix}node_modules/${key}`;
+    out[location] = {
+      version: entry.version,
+      dev: entry.dev,
+      optional: entry.optional,
+      dependencies: entry.requires,
+    };
+    flattenV1(entry.dependencies, `${location}/`, out);
+  }
+  return out;
+}
+
+function npmGraph(lock, manifest) {
+  const v1 = !lock.packages;
+  const packages = v1 ? flattenV1(lock.dependencies, '', {}) : lock.packages;
+  const root = v1 ? manifest || {} : packages[''] || {};
+  const nodes = new Map();
+  const isWorkspace = (location) => !!location && !location.includes('node_modules/');
+  const target = (location) => {
+    // Workspace links point at the workspace folder
+    const entry = packages[location];
+    return entry?.link && entry.resolved ? entry.resolved : location;
+  };
+  const edgesFrom = (location, entry) => {
+    const edges = [];
+    for (const { name, kind } of manifestEdges(entry)) {
+      if (kind === 'dev' && location !== '' && !isWorkspace(location)) continue;
+      const to = resolveNodeModules(packages, location, name);
+      if (to) edges.push({ to: target(to), kind });
+    }
+    return edges;
+  };
+  for (const [location, entry] of Object.entries(packages)) {
+    if (location === '' || entry.link) continue;
+    let name =
+      entry.name ||
+      (isWorkspace(location)
+        ? posix.basename(location)
+        : location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length));
+    let version = entry.version || '';
+    if (version.startsWith('npm:')) ({ name, version } = splitNameVersion(version.slice(4)));
+    nodes.set(location, {
+      name,
+      version: isWorkspace(location) ? '' : version,
+      edges: edgesFrom(location, entry),
+      flags: v1
+        ? { dev: !!entry.dev, optional: !!entry.optional }
+        : {
+            dev: !!entry.dev,
+            optional: !!(entry.optional || entry.devOptional),
+            peer: !!entry.peer,
+          },
+    });
+  }
+  const roots =
+    v1 && !manifest
+      ? Object.keys(packages)
+          .filter((l) => l.split('node_modules/').length === 2)
+          .map((to) => ({ to, kind: packages[to].dev ? 'dev' : 'prod' }))
+      : edgesFrom('', root);
+  // Workspaces are roots too: their packages are installed whether or not the root lists them
+  for (const location of Object.keys(packages)) {
+    if (isWorkspace(location)) roots.push({ to: location, kind: 'prod' });
+  }
+  return { nodes, roots, rootName: root.name || lock.name || '' };
+}
+
+// ---- yarn.lock (classic v1 and berry) ----
+
+function unquote(s) {
+  const t = s.trim();
+  return t.startsWith('"') && t.endsWith('"') ? JSON.parse(t) : t;
+}
+
+function parseYarnClassic(text) {
+  // Indentation-based "key value" / "key:" format (not YAML); two spaces per level
+  const root = {};
+  const stack = [{ indent: -1, obj: root }];
+  for (const raw of text.split(/\r?\n/)) {
+    if (!raw.trim() || raw.trimStart().startsWith('#')) continue;
+    const indent = raw.length - raw.trimStart().length;
+    const line = raw.trim();
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].obj;
+    if (line.endsWith(':')) {
+      const obj = {};
+      parent[line.slice(0, -1)] = obj;
+      stack.push({ indent, obj });
+      continue;
+    }
+    const m = /^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/.exec(line);
+    if (m) parent[unquote(m[1])] = unquote(m[2]);
+  }
+  return root;
+}
+
+function yarnGraph(entries, manifest, berry) {
+  // Map every descriptor ("name@range") to the entry it resolves to
+  const byDescriptor = new Map();
+  const nodes = new Map();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (key === '__metadata' || !entry || typeof entry !== 'object') continue;
+    const descriptors = key.split(/,\s*/).map(unquote);
+    for (const d of descriptors) byDescriptor.set(d, key);
+    let { name, version: range } = splitNameVersion(descriptors[0]);
+    if (berry && entry.resolution) name = splitNameVersion(entry.resolution).name;
+    else if (range.startsWith('npm:')) name = splitNameVersion(range.slice(4)).name;
+    const isWorkspace = berry && /@workspace:/.test(entry.resolution || '');
+    nodes.set(key, {
+      name,
+      version: isWorkspace ? '' : String(entry.version || ''),
+      workspace: isWorkspace ? entry.resolution.split('@workspace:')[1] : null,
+      entry,
+    });
+  }
+  const lookup = (name, range) =>
+    byDescriptor.get(`${name}@${range}`) || byDescriptor.get(`${name}@npm:${range}`) || null;
+  for (const node of nodes.values()) {
+    const { entry } = node;
+    const optional = new Set(Object.keys(entry.optionalDependencies || {}));
+    for (const [dep, meta] of Object.entries(entry.dependenciesMeta || {})) {
+      if (meta?.optional) optional.add(dep);
+    }
+    node.edges = [];
+    const add = (deps, kind) => {
+      for (const [dep, range] of Object.entries(deps || {})) {
+        const to = lookup(dep, String(range));
+        if (to) node.edges.push({ to, kind: optional.has(dep) ? 'optional' : kind });
+      }
+    };
+    add(entry.dependencies, 'prod');
+    add(entry.optionalDependencies, 'optional');
+    add(entry.peerDependencies, 'peer');
+  }
+  const roots = [];
+  const workspaceNodes = [...nodes.entries()].filter(([, n]) => n.workspace !== null);
+  if (workspaceNodes.length > 0) {
+    // Berry records workspaces as entries whose dependencies include devDependencies;
+    // the root manifest tells them apart for the root workspace.
+    const devNames = new Set(Object.keys(manifest?.devDependencies || {}));
+    for (const [key, node] of workspaceNodes) {
+      for (const e of node.edges) {
+        const dev = node.workspace === '.' && devNames.has(nodes.get(e.to)?.name);
+        roots.push({ to: e.to, kind: dev ? 'dev' : e.kind });
+      }
+      nodes.delete(key);
+    }
+  } else if (manifest) {
+    for (const { name, spec, kind } of manifestEdges(manifest)) {
+      const to = lookup(name, String(spec));
+      if (to) roots.push({ to, kind });
+    }
+  } else roots.push(...entryRoots(nodes));
+  return { nodes, roots, rootName: manifest?.name || '' };
+}
+
+// ---- pnpm-lock.yaml (v5, v6, v9) ----
+
+function pnpmKeyParts(key) {
+  // v5: "/name/1.2.3_peer@1.0.0"; v6: "/name@1.2.3(peer@1.0.0)"; v9: "name@1.2.3(peer@1.0.0)"
+  const k = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (/^(@[^/]+\/)?[^/@]+\/\d/.test(k)) {
+    const slash = k.lastIndexOf('/');
+    return { name: k.slice(0, slash), version: k.slice(slash + 1).replace(/_.*$/, '') };
+  }
+  return splitNameVersion(k);
+}
+
+function pnpmGraph(lock, manifest) {
+  const major = parseInt(String(lock.lockfileVersion || '5'), 10);
+  const snapshots = major >= 9 ? lock.snapshots || {} : lock.packages || {};
+  const nodes = new Map();
+  const refToKey = (name, ref) => {
+    const v = String(ref?.version ?? ref);
+    if (v.startsWith('link:') || v.startsWith('file:')) return null;
+    // Aliases reference another package's key directly ("real@1.0.0" / "/real@1.0.0")
+    if (major >= 9) return v.replace(/\(.*$/, '').includes('@') ? v : `${name}@${v}`;
+    if (v.startsWith('/')) return v;
+    return major >= 6 ? `/${name}@${v}` : `/${name}/${v}`;
+  };
+  for (const [key, entry] of Object.entries(snapshots)) {
+    const { name, version } = pnpmKeyParts(key);
+    const meta = major >= 9 ? lock.packages?.[key.replace(/\(.*$/, '')] || {} : entry;
+    const edges = [];
+    const peers = new Set(Object.keys(meta.peerDependencies || {}));
+    const add = (deps, kind) => {
+      for (const [dep, ref] of Object.entries(deps || {})) {
+        const to = refToKey(dep, ref);
+        if (to) edges.push({ to, kind: peers.has(dep) ? 'peer' : kind });
+      }
+    };
+    add(entry.dependencies, 'prod');
+    add(entry.optionalDependencies, 'optional');
+    nodes.set(key, {
+      name,
+      version,
+      edges,
+      flags:
+        major < 9 && entry.dev !== undefined
+          ? { dev: !!entry.dev, optional: !!entry.optional }
+          : undefined,
+    });
+  }
+  const importers = lock.importers || { '.': lock };
+  const roots = [];
+  for (const importer of Object.values(importers)) {
+    for (const [field, kind] of [
+      ['dependencies', 'prod'],
+      ['optionalDependencies', 'optional'],
+      ['devDependencies', 'dev'],
+    ]) {
+      for (const [dep, ref] of Object.entries(importer?.[field] || {})) {
+        const to = refToKey(dep, ref);
+        if (to) roots.push({ to, kind });
+      }
+    }
+  }
+  if (roots.length === 0) roots.push(...entryRoots(nodes));
+  return { nodes, roots, rootName: manifest?.name || '' };
+}
+
+// ---- entry point ----
+
+export async function readLockfile(file) {
+  const dir = join(file, '..');
+  const text = await readFile(file, 'utf8');
+  const manifest = await readManifest(dir);
+  return parseLockfile(basename(file), text, manifest, basename(dir));
+}
+
+export function parseLockfile(name, text, manifest = null, rootName = '') {
+  // name picks the format (a lockfile file name); manifest is the project's package.json
+  let type;
+  let graph;
+  if (name === 'package-lock.json' || name === 'npm-shrinkwrap.json') {
+    const lock = JSON.parse(text);
+    type = `${name.replace('.json', '')}-v${lock.lockfileVersion || 1}`;
+    graph = npmGraph(lock, manifest);
+  } else if (name === 'yarn.lock') {
+    const berry = /^__metadata:/m.test(text);
+    type = berry ? 'yarn-berry' : 'yarn-classic';
+    graph = yarnGraph(berry ? YAML.parse(text) : parseYarnClassic(text), manifest, berry);
+  } else if (name === 'pnpm-lock.yaml') {
+    const lock = YAML.parse(text) || {};
+    type = `pnpm-v${lock.lockfileVersion || 'unknown'}`;
+    graph = pnpmGraph(lock, manifest);
+  } else {
+    throw new Error(`Unsupported lockfile: ${name}`);
+  }
+  if (!graph.rootName) graph.rootName = rootName;
+  return { type, instances: instancesFromGraph(graph) };
+}
@@ -0,0 +1,146 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+
+// Registry routing and credentials the way npm reads them from .npmrc: the default registry,
+// "@scope:registry" overrides for scoped packages, and per-registry credentials keyed by the
+// registry URL without its protocol ("//host/path/:_authToken", ":_auth", ":username" with
+// ":_password"). Files are read global, then user, then project, later ones winning, and
+// npm_config_* environment variables win over all of them. Credentials are only ever sent to
+// URLs under the registry they are keyed by.
+
+export const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+function expandEnv(value, env) {
+  // ${NAME} and ${NAME?} are replaced like npm does; unset variables become empty
+  return value.replace(/(\\*)\$\{([^${}?]+)\??\}/g, (match, slashes, name) =>
+    slashes.length % 2 ? match.slice(1) : slashes + (env[name] ?? ''),
+  );
+}
+
+export function parseNpmrc(text, env = process.env) {
+  // ini key=value pairs; sections, comments and array keys are ignored
+  const config = {};
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('[')) continue;
+    const eq = line.indexOf('=');
+    if (eq <= 0) continue;
+    const key = expandEnv(line.slice(0, eq).trim(), env);
+    let value = line.slice(eq + 1).trim();
+    if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1);
+    if (key.endsWith('[]')) continue;
+    config[key] = expandEnv(value, env);
+  }
+  return config;
+}
+
+function projectDir(cwd) {
+  // npm's local prefix: the closest directory with a package.json, else cwd
+  for (let dir = resolve(cwd); ; dir = dirname(dir)) {
+    if (existsSync(join(dir, 'package.json'))) return dir;
+    if (dirname(dir) === dir) return resolve(cwd);
+  }
+}
+
+export function npmrcFiles({ cwd = process.cwd(), env = process.env } = {}) {
+  // Global, user and project .npmrc paths, in the order they are applied
+  const prefix =
+    env.npm_config_prefix ||
+    env.NPM_CONFIG_PREFIX ||
+    (process.platform === 'win32' ? dirname(process.execPath) : dirname(dirname(process.execPath)));
+  return [
+    env.npm_config_globalconfig || env.NPM_CONFIG_GLOBALCONFIG || join(prefix, 'etc', 'npmrc'),
+    env.npm_config_userconfig || env.NPM_CONFIG_USERCONFIG || join(homedir(), '.npmrc'),
+    join(projectDir(cwd), '.npmrc'),
+  ];
+}
+
+export function readNpmrc(options = {}) {
+  // Merged settings of every .npmrc found plus npm_config_* variables; files lists those read
+  const env = options.env || process.env;
+  const config = {};
+  const files = [];
+  for (const file of options.files || npmrcFiles(options)) {
+    let text;
+    try {
+      text = readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    Object.assign(config, parseNpmrc(text, env));
+    files.push(file);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    const m = /^npm_config_(.+)$/i.exec(name);
+    // Only registry settings; npm sets many others when it runs a script
+    if (m && value && /(?:^|:)registry$|^\/\//i.test(m[1])) config[m[1]] = value;
+  }
+  return { config, files };
+}
+
+function withSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+function nerfDart(url) {
+  // "https://npm.example.com/api/npm/" -> "//npm.example.com/api/npm/"
+  try {
+    const u = new URL(url);
+    return `//${u.host}${withSlash(u.pathname)}`;
+  } catch {
+    return null;
+  }
+}
+
+export function createRegistries(config = {}, { registry = null, token = null } = {}) {
+  // registry (NPM_REGISTRY) overrides the default registry of the config; token (NPM_TOKEN)
+  // authenticates to the default registry when the config has no credentials for it
+  const defaultRegistry = (registry || config.registry || DEFAULT_REGISTRY).replace(/\/+$/, '');
+  // Credentials per nerf dart, longest first so the most specific path wins
+  const darts = new Map();
+  for (const [key, value] of Object.entries(config)) {
+    const m = /^(\/\/.+?):(_authToken|_auth|username|_password)$/.exec(key);
+    if (!m || !value) continue;
+    const dart = withSlash(m[1]);
+    if (!darts.has(dart)) darts.set(dart, {});
+    darts.get(dart)[m[2]] = value;
+  }
+  const defaultDart = nerfDart(defaultRegistry);
+  if (token && defaultDart && !darts.get(defaultDart)?._authToken)
+    darts.set(defaultDart, { ...darts.get(defaultDart), _authToken: token });
+  const ordered = Array.from(darts).sort((a, b) => b[0].length - a[0].length);
+  const scopes = Object.fromEntries(
+    Object.entries(config)
+      .filter(([key, value]) => /^@[^:]+:registry$/.test(key) && value)
+      .map(([key, value]) => [key.slice(0, key.indexOf(':')), value.replace(/\/+$/, '')]),
+  );
+
+  return {
+    registry: defaultRegistry,
+    scopes,
+
+    // Registry serving a package's packument: its scope's, else the default one
+    registryFor(name) {
+      const scope = name.startsWith('@') ? name.slice(0, name.indexOf('/')) : null;
+      return (scope && scopes[scope]) || defaultRegistry;
+    },
+
+    // The authorization header for a URL, or null; matched on host and path prefix, so a
+    // registry's tarballs get its credentials too
+    authorization(url) {
+      const dart = nerfDart(url);
+      if (!dart) return null;
+      const match = ordered.find(([prefix]) => dart.startsWith(prefix));
+      if (!match) return null;
+      const creds = match[1];
+      if (creds._authToken) return `Bearer ${creds._authToken}`;
+      if (creds._auth) return `Basic ${creds._auth}`;
+      if (creds.username && creds._password) {
+        const password = Buffer.from(creds._password, 'base64').toString('utf8');
+        return `Basic ${Buffer.from(`${creds.username}:${password}`).toString('base64')}`;
+      }
+      return null;
+    },
+  };
+}
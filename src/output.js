@@ -0,0 +1,484 @@
+import { readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { createHash } from 'node:crypto';
+import { extname } from 'node:path';
+import { createRequire } from 'node:module';
+import Papa from 'papaparse';
+import { summarizeDiff } from './diff.js';
+import { UNRESOLVABLE } from './specs.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+// Output sinks. CSV and NDJSON stream rows as they arrive; JSON, SARIF and HTML are single
+// documents, so their rows are buffered and written on close().
+
+export const FORMATS = ['csv', 'ndjson', 'json', 'sarif', 'html'];
+const STREAMING = new Set(['csv', 'ndjson']);
+// Formats whose rows may be narrowed to some columns; SARIF and HTML need all of them
+const SELECTABLE = new Set(['csv', 'ndjson', 'json']);
+const EXTENSIONS = { csv: 'csv', ndjson: 'ndjson', json: 'json', sarif: 'sarif', html: 'html' };
+
+export function formatFromPath(file) {
+  const ext = extname(file || '')
+    .slice(1)
+    .toLowerCase();
+  if (ext === 'jsonl') return 'ndjson';
+  return FORMATS.includes(ext) ? ext : null;
+}
+
+export function defaultOutputPath(base, format) {
+  return `${base}.${EXTENSIONS[format] || 'csv'}`;
+}
+
+function openStream(outPath, append) {
+  // "-" writes to stdout, which is left open on close
+  if (outPath === '-') return { write: (chunk) => process.stdout.write(chunk), end: (cb) => cb() };
+  return createWriteStream(outPath, { flags: append ? 'a' : 'w' });
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map((f) => [f, row[f]]));
+}
+
+async function openCsvWriter(outPath, fields, append = false) {
+  let fileExists = false;
+  try {
+    const s = await stat(outPath);
+    fileExists = s.size > 0;
+  } catch (_e) {
+    // ignore stat errors (file does not exist yet)
+  }
+  const stream = openStream(outPath, append);
+  let wroteHeader = false;
+  if (!append || !fileExists) {
+    const header = Papa.unparse({ fields, data: [] }, { header: true, newline: '\n' });
+    stream.write(header.endsWith('\n') ? header : header + '\n');
+    wroteHeader = true;
+  }
+  return { stream, wroteHeader };
+}
+
+export async function openRowWriter(
+  outPath,
+  { schema, format = 'csv', append = false, columns = null },
+) {
+  // columns: the schema columns to write, in that order (default: all of them). The json
+  // summary is still computed from whole rows. outPath "-" is stdout.
+  if (!FORMATS.includes(format))
+    throw new Error(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  if (append && !STREAMING.has(format))
+    throw new Error(`--append is only supported for csv and ndjson output, not ${format}`);
+  if (columns && !SELECTABLE.has(format))
+    throw new Error(`--columns is only supported for csv, ndjson and json output, not ${format}`);
+  const fields = columns || schema.fields;
+  let count = 0;
+
+  if (STREAMING.has(format)) {
+    const { stream, wroteHeader } =
+      format === 'csv'
+        ? await openCsvWriter(outPath, fields, append)
+        : { stream: openStream(outPath, append), wroteHeader: false };
+    return {
+      wroteHeader,
+      get count() {
+        return count;
+      },
+      write(row) {
+        if (format === 'csv') {
+          const line = Papa.unparse({ fields, data: [row] }, { header: false });
+          stream.write(line.endsWith('\n') ? line : line + '\n');
+        } else {
+          stream.write(JSON.stringify(columns ? pick(row, columns) : row) + '\n');
+        }
+        count++;
+      },
+      close() {
+        return new Promise((res) => stream.end(res));
+      },
+    };
+  }
+
+  const rows = [];
+  return {
+    wroteHeader: false,
+    get count() {
+      return count;
+    },
+    write(row) {
+      rows.push(row);
+      count++;
+    },
+    async close() {
+      const render = { json: renderJson, sarif: renderSarif, html: renderHtml }[format];
+      const text = render(schema, rows, columns);
+      if (outPath === '-') process.stdout.write(text);
+      else await writeFile(outPath, text);
+    },
+  };
+}
+
+export async function filterRows(outPath, format, keep) {
+  // Rewrite a streamed output in place, keeping rows for which keep(row) is true. CSV values
+  // come back as strings; the file's own header is preserved. Returns the number dropped.
+  let dropped = 0;
+  const tmp = `${outPath}.${process.pid}.tmp`;
+  const out = createWriteStream(tmp);
+  if (format === 'csv') {
+    await new Promise((resolveP, rejectP) => {
+      let fields = null;
+      Papa.parse(createReadStream(outPath), {
+        header: true,
+        skipEmptyLines: true,
+        // Rows are always "\n"-terminated; older versions wrote the header with "\r\n"
+        newline: '\n',
+        transformHeader: (h) => h.trim(),
+        step: (res) => {
+          if (!fields) {
+            fields = res.meta.fields;
+            out.write(Papa.unparse({ fields, data: [] }, { header: true, newline: '\n' }));
+          }
+          if (keep(res.data))
+            out.write(Papa.unparse({ fields, data: [res.data] }, { header: false }) + '\n');
+          else dropped++;
+        },
+        complete: resolveP,
+        error: rejectP,
+      });
+    });
+  } else {
+    const lines = createInterface({ input: createReadStream(outPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      if (keep(JSON.parse(line))) out.write(line + '\n');
+      else dropped++;
+    }
+  }
+  await new Promise((res) => out.end(res));
+  await rename(tmp, outPath);
+  return dropped;
+}
+
+export async function readRows(file, schema, format = formatFromPath(file) || 'csv') {
+  // Rows of an earlier csv, ndjson or json output. CSV values are converted back to the
+  // schema's boolean and number columns; columns outside the schema stay strings.
+  const text = await readFile(file, 'utf8');
+  if (format === 'ndjson')
+    return text
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  if (format === 'json') return JSON.parse(text).rows || [];
+  if (format !== 'csv')
+    throw new Error(`Cannot read rows from ${format} output (expected csv, ndjson or json)`);
+  const { data } = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (h) => h.trim(),
+  });
+  return data.map((row) => {
+    for (const [field, value] of Object.entries(row)) {
+      const type = typeof schema.defaults[field];
+      // Impact columns hold "unresolvable" for specs from outside the registry
+      if (type === 'boolean') row[field] = value === UNRESOLVABLE ? value : value === 'true';
+      else if (type === 'number')
+        row[field] = value === '' ? schema.defaults[field] : Number(value);
+    }
+    return row;
+  });
+}
+
+// ---- per-source summary ----
+
+export function summarize(schema, rows) {
+  if (schema.name === 'diff') return summarizeDiff(rows);
+  const scan = schema.name === 'scan';
+  const bySource = new Map();
+  for (const row of rows) {
+    if (!row.source_package) continue;
+    const key = `${row.source_package}\u0000${row.source_version}`;
+    let s = bySource.get(key);
+    if (!s) {
+      const counts = scan
+        ? { instances: 0, projects: new Set(), dev: 0, optional: 0, peer: 0 }
+        : {
+            dependents: 0,
+            impacted_at_release: 0,
+            impacted_now: 0,
+            exact_pins: 0,
+            unresolvable: 0,
+            errors: 0,
+          };
+      s = { source_package: row.source_package, source_version: row.source_version, ...counts };
+      bySource.set(key, s);
+    }
+    if (scan) {
+      s.instances++;
+      s.projects.add(row.project);
+      if (row.is_dev_dependency) s.dev++;
+      if (row.is_optional_dependency) s.optional++;
+      if (row.is_peer_dependency) s.peer++;
+    } else {
+      s.dependents++;
+      if (row.likely_impacted_at_release === true) s.impacted_at_release++;
+      if (row.still_impacted_now === true) s.impacted_now++;
+      if (row.uses_exact_pin) s.exact_pins++;
+      if (row.still_impacted_now === UNRESOLVABLE) s.unresolvable++;
+      if (row.error) s.errors++;
+    }
+  }
+  return Array.from(bySource.values()).map((s) => (scan ? { ...s, projects: s.projects.size } : s));
+}
+
+function renderJson(schema, rows, columns = null) {
+  return (
+    JSON.stringify(
+      {
+        tool: { name: pkg.name, version: pkg.version },
+        kind: schema.name,
+        generated_at: new Date().toISOString(),
+        summary: summarize(schema, rows),
+        rows: columns ? rows.map((row) => pick(row, columns)) : rows,
+      },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+// ---- SARIF ----
+
+const SARIF_RULES = {
+  dependents: [
+    {
+      id: 'still-impacted-now',
+      name: 'StillImpactedNow',
+      shortDescription: { text: 'Dependent resolves to a compromised version on a fresh install' },
+      defaultConfiguration: { level: 'error' },
+    },
+    {
+      id: 'exact-pin',
+      name: 'ExactPin',
+      shortDescription: { text: 'Dependent pins a compromised version exactly' },
+      defaultConfiguration: { level: 'error' },
+    },
+    {
+      id: 'impacted-at-release',
+      name: 'ImpactedAtRelease',
+      shortDescription: {
+        text: 'Dependent resolved to a compromised version when it was published',
+      },
+      defaultConfiguration: { level: 'warning' },
+    },
+  ],
+  diff: [
+    {
+      id: 'regressed',
+      name: 'Regressed',
+      shortDescription: { text: 'Dependent resolves to a compromised version again' },
+      defaultConfiguration: { level: 'error' },
+    },
+    {
+      id: 'newly-impacted',
+      name: 'NewlyImpacted',
+      shortDescription: { text: 'New dependent that resolves to a compromised version' },
+      defaultConfiguration: { level: 'error' },
+    },
+  ],
+  scan: [
+    {
+      id: 'compromised-install',
+      name: 'CompromisedInstall',
+      shortDescription: { text: 'Lockfile installs a compromised package version' },
+      defaultConfiguration: { level: 'error' },
+    },
+  ],
+};
+
+function fingerprint(...parts) {
+  return createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+function sarifResult(schema, row) {
+  if (row.error) return null;
+  if (schema.name === 'scan') {
+    const file = `${row.project}/${row.lockfile}`.replace(/\\/g, '/').replace(/^\.\//, '');
+    // Projects outside the working directory are reported by absolute path
+    const uri = file.startsWith('/') ? `file://${file}` : file;
+    return {
+      ruleId: 'compromised-install',
+      level: 'error',
+      message: {
+        text: `${row.source_package}@${row.installed_version} is installed via ${row.dependency_path} (compromised: ${row.source_version || 'any version'})`,
+      },
+      locations: [
+        {
+          physicalLocation: { artifactLocation: { uri }, region: { startLine: 1 } },
+          logicalLocations: [{ fullyQualifiedName: row.dependency_path, kind: 'package' }],
+        },
+      ],
+      partialFingerprints: {
+        'blastRadius/v1': fingerprint(uri, row.install_location, row.installed_version),
+      },
+      properties: row,
+    };
+  }
+  if (schema.name === 'diff') {
+    const ruleId =
+      row.change === 'regressed'
+        ? 'regressed'
+        : row.change === 'added' && row.after_still_impacted_now === true
+          ? 'newly-impacted'
+          : null;
+    if (!ruleId) return null;
+    return {
+      ruleId,
+      level: 'error',
+      message: {
+        text: `${row.dependent} (${row.after_dependent_version_range}) resolves to a compromised ${row.source_package} version on a fresh install`,
+      },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: `https://www.npmjs.com/package/${row.dependent}` },
+          },
+          logicalLocations: [{ fullyQualifiedName: row.dependent, kind: 'package' }],
+        },
+      ],
+      partialFingerprints: {
+        'blastRadius/v1': fingerprint(row.source_package, row.dependent, ruleId),
+      },
+      properties: row,
+    };
+  }
+  const ruleId =
+    row.still_impacted_now === true
+      ? 'still-impacted-now'
+      : row.uses_exact_pin
+        ? 'exact-pin'
+        : row.likely_impacted_at_release === true
+          ? 'impacted-at-release'
+          : null;
+  if (!ruleId) return null;
+  const resolved =
+    row.still_impacted_now === true ? row.resolved_now : row.resolved_at_dependent_release;
+  return {
+    ruleId,
+    level: ruleId === 'impacted-at-release' ? 'warning' : 'error',
+    message: {
+      text: `${row.dependent} (${row.dependency_type || 'dep'} ${row.dependent_version_range}) resolves to compromised ${row.path.split('>').at(-2) || row.source_package}@${resolved || row.dependent_version_range}`,
+    },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: `https://www.npmjs.com/package/${row.dependent}` },
+        },
+        logicalLocations: [{ fullyQualifiedName: row.path || row.dependent, kind: 'package' }],
+      },
+    ],
+    partialFingerprints: {
+      'blastRadius/v1': fingerprint(row.source_package, row.source_version, row.dependent),
+    },
+    properties: row,
+  };
+}
+
+function renderSarif(schema, rows) {
+  const results = rows.map((r) => sarifResult(schema, r)).filter(Boolean);
+  return (
+    JSON.stringify(
+      {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [
+          {
+            tool: {
+              driver: {
+                name: pkg.name,
+                version: pkg.version,
+                informationUri: pkg.homepage,
+                rules: SARIF_RULES[schema.name] || [],
+              },
+            },
+            results,
+          },
+        ],
+      },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+// ---- HTML ----
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c],
+  );
+}
+
+function htmlTable(fields, rows, id) {
+  const head = fields.map((f) => `<th>${escapeHtml(f)}</th>`).join('');
+  const body = rows
+    .map((r) => {
+      const hot = r.still_impacted_now === true || r.change === 'regressed';
+      const cls = r.error ? ' class="err"' : hot ? ' class="hot"' : '';
+      return `<tr${cls}>${fields.map((f) => `<td>${escapeHtml(r[f])}</td>`).join('')}</tr>`;
+    })
+    .join('\n');
+  return `<table id="${id}" class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const HTML_STYLE = `body{font:13px/1.4 system-ui,sans-serif;margin:24px;color:#222}
+h1{font-size:20px}h2{font-size:16px;margin-top:28px}
+table{border-collapse:collapse;margin-top:8px}th,td{border:1px solid #ddd;padding:3px 6px;text-align:left;white-space:nowrap}
+th{background:#f4f4f4;cursor:pointer;position:sticky;top:0}th.asc::after{content:' \\25B2'}th.desc::after{content:' \\25BC'}
+tr.hot td{background:#fdecea}tr.err td{color:#999}input{margin:8px 0;padding:4px;width:320px}`;
+
+// Click a header to sort (numeric-aware); the filter box hides rows not containing the text.
+const HTML_SCRIPT = `for (const t of document.querySelectorAll('table.sortable')) {
+  t.querySelectorAll('th').forEach((th, i) => th.addEventListener('click', () => {
+    const asc = !th.classList.contains('asc');
+    t.querySelectorAll('th').forEach((h) => h.classList.remove('asc', 'desc'));
+    th.classList.add(asc ? 'asc' : 'desc');
+    const body = t.tBodies[0];
+    const rows = Array.from(body.rows);
+    const cmp = new Intl.Collator(undefined, { numeric: true }).compare;
+    rows.sort((a, b) => (asc ? 1 : -1) * cmp(a.cells[i].textContent, b.cells[i].textContent));
+    body.append(...rows);
+  }));
+}
+const f = document.getElementById('filter');
+if (f) f.addEventListener('input', () => {
+  const q = f.value.toLowerCase();
+  for (const r of document.getElementById('rows').tBodies[0].rows)
+    r.style.display = r.textContent.toLowerCase().includes(q) ? '' : 'none';
+});`;
+
+function renderHtml(schema, rows) {
+  const summary = summarize(schema, rows);
+  const summaryFields = summary.length > 0 ? Object.keys(summary[0]) : [];
+  const title =
+    { scan: 'Lockfile scan', diff: 'Changes between runs' }[schema.name] || 'Blast radius';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} — ${escapeHtml(pkg.name)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())} by ${escapeHtml(pkg.name)} ${escapeHtml(pkg.version)} — ${rows.length} rows.</p>
+<h2>${schema.name === 'diff' ? 'Changes' : 'Impact'} per source package</h2>
+${htmlTable(summaryFields, summary, 'summary')}
+<h2>Rows</h2>
+<input id="filter" type="search" placeholder="Filter rows…">
+${htmlTable(schema.fields, rows, 'rows')}
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
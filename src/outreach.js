@@ -0,0 +1,125 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { UNRESOLVABLE } from './specs.js';
+
+// Outreach drafts: one Markdown file per impacted dependent, rendered from a template with
+// {{placeholders}}. Every row column is available (from the dependent's first row), plus the
+// values computed in draftContext below.
+
+export const DEFAULT_TEMPLATE = `---
+to: {{maintainer_emails}}
+issues: {{issues_url}}
+---
+
+# {{dependent}} depends on a compromised release of {{source_packages}}
+
+Hi {{maintainers}},
+
+\`{{dependent}}\` (latest {{dependent_latest_version}}) declares a dependency range that resolves, or resolved when it was published, to a version released as part of a supply-chain compromise:
+
+{{impact_table}}
+
+Advisories: {{advisories}}
+
+Consumers installing \`{{dependent}}\` without a lockfile may receive the compromised code. Could you publish a release whose range excludes the compromised versions (or pins a known-good one), and deprecate affected releases if any were built with it?
+
+Repository: {{repository_url}}
+`;
+
+export function isImpactedRow(row) {
+  if (row.error) return false;
+  return (
+    row.likely_impacted_at_release === true || row.still_impacted_now === true || row.uses_exact_pin
+  );
+}
+
+function issuesUrl(row) {
+  if (row.bugs_url) return row.bugs_url;
+  // Monorepo links (".../tree/HEAD/packages/x") still file issues on the repository itself
+  const repo = /^https:\/\/(?:github\.com|gitlab\.com)\/[^/]+\/[^/]+/.exec(
+    row.repository_url || '',
+  );
+  return repo ? `${repo[0]}/issues` : '';
+}
+
+function cell(v) {
+  return String(v ?? '').replace(/\|/g, '\\|');
+}
+
+function impactTable(rows) {
+  const yes = (v) => (v === UNRESOLVABLE ? v : v ? 'yes' : 'no');
+  const lines = [
+    '| Package | Compromised versions | Declared range | Resolved at release | Resolves today | Exact pin | Path |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+  ];
+  for (const r of rows) {
+    const range = r.dependent_version_range
+      ? `\`${r.dependent_version_range}\` (${r.dependency_type || 'dep'})`
+      : '';
+    lines.push(
+      `| ${[
+        cell(r.source_package),
+        cell(r.compromised_versions || r.source_version),
+        cell(range),
+        `${cell(r.resolved_at_dependent_release)} (${yes(r.likely_impacted_at_release)})`,
+        `${cell(r.resolved_now)} (${yes(r.still_impacted_now)})`,
+        yes(r.uses_exact_pin),
+        cell(r.path),
+      ].join(' | ')} |`,
+    );
+  }
+  return lines.join('\n');
+}
+
+function unique(values) {
+  return Array.from(new Set(values.filter(Boolean)));
+}
+
+export function draftContext(rows) {
+  const first = rows[0];
+  return {
+    ...first,
+    maintainers: (first.maintainers || '').split('|').filter(Boolean).join(', ') || 'maintainers',
+    maintainer_emails: (first.maintainer_emails || '').split('|').filter(Boolean).join(', '),
+    source_packages: unique(
+      rows.map((r) => `${r.source_package}${r.source_version ? `@${r.source_version}` : ''}`),
+    ).join(', '),
+    advisories:
+      unique(rows.flatMap((r) => String(r.advisory_id || '').split('|'))).join(', ') ||
+      'none listed',
+    issues_url: issuesUrl(first),
+    impact_table: impactTable(rows),
+    generated_at: new Date().toISOString(),
+  };
+}
+
+export function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_m, key) => String(context[key] ?? ''));
+}
+
+export function draftFileName(dependent) {
+  return `${dependent.replace(/\//g, '__')}.md`;
+}
+
+export async function writeOutreachDrafts(
+  rows,
+  outDir,
+  { template = DEFAULT_TEMPLATE, all = false } = {},
+) {
+  // Groups rows by dependent (a dependent can be reached from several source packages) and
+  // writes one draft each; returns the written file paths.
+  const byDependent = new Map();
+  for (const row of rows) {
+    if (!row.dependent || (all ? row.error : !isImpactedRow(row))) continue;
+    if (!byDependent.has(row.dependent)) byDependent.set(row.dependent, []);
+    byDependent.get(row.dependent).push(row);
+  }
+  await mkdir(outDir, { recursive: true });
+  const files = [];
+  for (const [dependent, group] of byDependent) {
+    const file = join(outDir, draftFileName(dependent));
+    await writeFile(file, renderTemplate(template, draftContext(group)));
+    files.push(file);
+  }
+  return files;
+}
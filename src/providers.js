@@ -0,0 +1,317 @@
+import { DEFAULT_TIMEOUT_MS, fetchJSON, fetchText, getPackageMetadata } from './http.js';
+import { declaredSpec } from './specs.js';
+
+// Discovery providers. Each one is { name, description, capabilities, listDependents }, where
+// listDependents(name, opts) is an async iterator over the names of packages depending on name.
+// opts: includeDev, includePeer, max (a hint: about how many names are still wanted, 0 for no
+// cap), timeoutMs, verbose. Names are consumed as they come and iteration stops once discovery
+// has enough, so providers fetch page by page. capabilities.dev / capabilities.peer say whether
+// the provider can list dependents through devDependencies / peerDependencies at all.
+// A provider's name is what ends up in dependent_source. Requests are paced per host by the
+// HTTP layer (see ratelimit.js), so providers do not sleep between pages.
+
+const NPM_SEARCH_URL = process.env.NPM_SEARCH_URL || 'https://api.npms.io/v2/search';
+const DEPS_DEV_URL = process.env.DEPS_DEV_URL || 'https://deps.dev';
+const ECOSYSTEMS_URL =
+  process.env.ECOSYSTEMS_URL || 'https://packages.ecosyste.ms/api/v1/registries/npmjs.org';
+
+export const SOURCES_MODES = ['fallback', 'union'];
+
+const NPMS_PAGE = 250; // max per npms API
+// npms.io pages requested ahead of the one being consumed
+const NPMS_LOOKAHEAD = 3;
+
+export function npmsDependentsUrl(name, from, qualifier = 'dependencies') {
+  // npms.io search for packages that depend on name
+  const q = encodeURIComponent(`${qualifier}:${name}`);
+  return `${NPM_SEARCH_URL}?q=${q}&from=${from}&size=${NPMS_PAGE}`;
+}
+
+async function* librariesIoDependents(name, timeoutMs) {
+  const apiKey = process.env.LIBRARIES_IO_API_KEY;
+  if (!apiKey) return;
+  const perPage = 100;
+  for (let page = 1; page < 1000; page++) {
+    const base = `https://libraries.io/api/npm/${encodeURIComponent(name)}/dependents?api_key=${encodeURIComponent(apiKey)}&per_page=${perPage}&page=${page}`;
+    const data = await fetchJSON(base, {}, 3, timeoutMs);
+    if (!Array.isArray(data)) {
+      // Likely disabled: { message: "Disabled for performance reasons" }
+      if (data && typeof data === 'object' && data.message) {
+        throw new Error(`libraries.io response: ${data.message}`);
+      }
+      break;
+    }
+    if (data.length === 0) break;
+    for (const item of data) {
+      if (item?.name) yield item.name;
+    }
+  }
+}
+
+async function* npmWebsiteDependents(name, timeoutMs) {
+  // Scrape https://www.npmjs.com/browse/depended/<name>?offset=<n>
+  // We'll extract hrefs matching /package/<pkg>
+  const results = new Set();
+  const pageSize = 36; // observed
+  for (let offset = 0; offset < 50000; offset += pageSize) {
+    const url = `https://www.npmjs.com/browse/depended/${encodeURIComponent(name)}?offset=${offset}`;
+    const html = await fetchText(url, 3, timeoutMs);
+    if (!html) break;
+    const beforeCount = results.size;
+    const re = /href="\/package\/([^"?#]+)"/g;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+      const pkg = decodeURIComponent(m[1]);
+      // skip the package itself and non-npm links
+      if (!pkg || pkg === name || results.has(pkg)) continue;
+      // Exclude anchors like /package/ in header navigation if any present by filtering obvious names
+      if (pkg.includes('policies') || pkg.includes('signup') || pkg.includes('login')) continue;
+      results.add(pkg);
+      yield pkg;
+    }
+    if (results.size === beforeCount) break; // no progress -> stop
+  }
+}
+
+async function collect(iterator, max) {
+  const out = [];
+  for await (const pkg of iterator) {
+    out.push(pkg);
+    if (max && out.length >= max) break;
+  }
+  return out;
+}
+
+export function fetchDependentsFromLibrariesIO(name, max = 0, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return collect(librariesIoDependents(name, timeoutMs), max);
+}
+
+export function fetchDependentsFromNpmWebsite(name, max = 0, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return collect(npmWebsiteDependents(name, timeoutMs), max);
+}
+
+const npms = {
+  name: 'npms',
+  description: 'npms.io search, by dependencies, peerDependencies and devDependencies',
+  capabilities: { dev: true, peer: true },
+  async *listDependents(name, opts = {}) {
+    const {
+      includeDev = false,
+      includePeer = true,
+      max = 0,
+      timeoutMs = DEFAULT_TIMEOUT_MS,
+      verbose = false,
+      log = console.log,
+    } = opts;
+    const qualifiers = ['dependencies'];
+    if (includeDev) qualifiers.push('devDependencies');
+    if (includePeer) qualifiers.push('peerDependencies');
+    for (const qualifier of qualifiers) {
+      const fetchPage = (from) =>
+        fetchJSON(npmsDependentsUrl(name, from, qualifier), {}, 3, timeoutMs).then(
+          (data) => ({ from, data }),
+          (error) => ({ from, error }),
+        );
+      // The first page gives the total; later ones are then fetched a few ahead of the consumer
+      let page = await fetchPage(0);
+      const end = Math.min(page.data?.total || Infinity, max || Infinity);
+      const ahead = [];
+      let next = NPMS_PAGE;
+      while (true) {
+        if (page.error) {
+          // One failed qualifier should not lose the others
+          if (verbose)
+            console.warn(
+              `[${name}] npms.io ${qualifier} fetch error: ${page.error?.message || page.error}`,
+            );
+          break;
+        }
+        const results = page.data?.results || [];
+        if (verbose)
+          log(
+            `[${name}] npms.io ${qualifier} total=${page.data?.total ?? 'unknown'} from=${page.from} got=${results.length}`,
+          );
+        if (results.length === 0) break;
+        // Without a known total, pages are requested one at a time until an empty one
+        while (ahead.length < (Number.isFinite(end) ? NPMS_LOOKAHEAD : 1) && next < end) {
+          ahead.push(fetchPage(next));
+          next += NPMS_PAGE;
+        }
+        for (const r of results) {
+          if (r.package?.name) yield r.package.name;
+        }
+        if (ahead.length === 0) break;
+        page = await ahead.shift();
+      }
+    }
+  },
+};
+
+const libraries = {
+  name: 'libraries',
+  description: 'Libraries.io dependents API (needs LIBRARIES_IO_API_KEY)',
+  capabilities: { dev: true, peer: true },
+  listDependents(name, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    return librariesIoDependents(name, timeoutMs);
+  },
+};
+
+const scraped = {
+  name: 'scraped',
+  description: "npmjs.com's dependents pages, scraped",
+  capabilities: { dev: false, peer: false },
+  async *listDependents(name, { max = 0, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    // The pages have no total and are slow to walk, so an uncapped walk stops at 500
+    let count = 0;
+    for await (const pkg of npmWebsiteDependents(name, timeoutMs)) {
+      yield pkg;
+      if (++count >= (max || 500)) break;
+    }
+  },
+};
+
+const depsdev = {
+  name: 'depsdev',
+  description: "deps.dev's sample of direct dependents of the latest version (experimental)",
+  capabilities: { dev: false, peer: false },
+  // The documented deps.dev API only counts dependents, so this reads the endpoint behind its
+  // web pages, which may change or go away without notice
+  experimental: true,
+  async *listDependents(name, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    // deps.dev resolves dependency graphs per version, so only dependents that resolve to the
+    // latest version are listed, and only a sample of them
+    const version = (await getPackageMetadata(name, timeoutMs))?.['dist-tags']?.latest;
+    if (!version) return;
+    const url = `${DEPS_DEV_URL}/_/s/npm/p/${encodeURIComponent(name)}/v/${encodeURIComponent(version)}/dependents`;
+    let data;
+    try {
+      data = await fetchJSON(url, {}, 3, timeoutMs);
+    } catch (e) {
+      if (e?.status === 404) return; // not analyzed by deps.dev
+      throw new Error(
+        `deps.dev's undocumented dependents endpoint failed (${e?.message || e}); ` +
+          'the depsdev source is experimental, use another one in --sources',
+      );
+    }
+    if (!Array.isArray(data?.directSample))
+      throw new Error(
+        "deps.dev's undocumented dependents endpoint answered in an unknown format; " +
+          'the depsdev source is experimental, use another one in --sources',
+      );
+    for (const d of data.directSample) {
+      if (d?.package?.name) yield d.package.name;
+    }
+  },
+};
+
+const ecosystems = {
+  name: 'ecosystems',
+  description: 'ecosyste.ms packages API, every dependency kind',
+  capabilities: { dev: true, peer: true },
+  async *listDependents(name, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const perPage = 100;
+    for (let page = 1; page < 1000; page++) {
+      const url = `${ECOSYSTEMS_URL}/packages/${encodeURIComponent(name)}/dependent_packages?page=${page}&per_page=${perPage}`;
+      let data;
+      try {
+        data = await fetchJSON(url, {}, 3, timeoutMs);
+      } catch (e) {
+        if (e?.status === 404) return; // not tracked by ecosyste.ms
+        throw e;
+      }
+      if (!Array.isArray(data) || data.length === 0) break;
+      for (const p of data) {
+        if (p?.name) yield p.name;
+      }
+      if (data.length < perPage) break;
+    }
+  },
+};
+
+export const PROVIDERS = [npms, libraries, scraped, depsdev, ecosystems];
+
+// npms.io first; Libraries.io and scraping only when it finds nothing (or fewer than --max)
+export const DEFAULT_SOURCES = ['npms', 'libraries', 'scraped'];
+
+export function indexProvider(index) {
+  // The local reverse-dependency index (see the index subcommand) as a provider
+  return {
+    name: 'index',
+    description: 'local reverse-dependency index',
+    capabilities: { dev: true, peer: true },
+    async *listDependents(name, { includeDev = false, includePeer = true } = {}) {
+      yield* await index.dependents(name, { includeDev, includePeer });
+    },
+  };
+}
+
+export function privatePackagesProvider(names) {
+  // Dependents among a given list of packages, e.g. those of an internal registry, which no
+  // public source knows about: each packument is fetched (from its scope's registry) and
+  // checked for a version declaring the package
+  return {
+    name: 'private',
+    description: 'given list of private packages',
+    capabilities: { dev: true, peer: true },
+    async *listDependents(name, opts = {}) {
+      const {
+        includeDev = false,
+        includePeer = true,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        verbose = false,
+      } = opts;
+      for (const candidate of names) {
+        if (candidate === name) continue;
+        let meta;
+        try {
+          meta = await getPackageMetadata(candidate, timeoutMs);
+        } catch (e) {
+          if (verbose) console.warn(`[${name}] private package ${candidate}: ${e?.message || e}`);
+          continue;
+        }
+        const declares = Object.values(meta?.versions || {}).some(
+          (man) =>
+            declaredSpec(man?.dependencies, name) ||
+            (includePeer && declaredSpec(man?.peerDependencies, name)) ||
+            (includeDev && declaredSpec(man?.devDependencies, name)),
+        );
+        if (declares) yield candidate;
+      }
+    },
+  };
+}
+
+export function resolveSources(sources, { noLibraries = false, noScrape = false } = {}) {
+  // Providers for a list of names ("npms,depsdev" or an array); provider objects pass through,
+  // so library callers can plug in their own. Without a list, the default sources minus the
+  // ones noLibraries / noScrape turn off; a list naming one of those is an error.
+  const disabled = {
+    libraries: noLibraries && '--no-libraries',
+    scraped: noScrape && '--no-scrape',
+  };
+  if (sources == null) return resolveSources(DEFAULT_SOURCES.filter((name) => !disabled[name]));
+  const list = typeof sources === 'string' ? sources.split(',') : sources;
+  const out = [];
+  for (const entry of list) {
+    if (entry && typeof entry === 'object') {
+      if (typeof entry.listDependents !== 'function' || !entry.name)
+        throw new Error('A discovery provider needs a name and a listDependents function');
+      out.push(entry);
+      continue;
+    }
+    const name = String(entry).trim().toLowerCase();
+    if (!name) continue;
+    const provider = PROVIDERS.find((p) => p.name === name);
+    if (!provider)
+      throw new Error(
+        `Unknown discovery source "${name}" (expected: ${PROVIDERS.map((p) => p.name).join(', ')})`,
+      );
+    if (disabled[name])
+      throw new Error(
+        `Discovery source "${name}" is listed in --sources but disabled by ${disabled[name]}`,
+      );
+    if (!out.includes(provider)) out.push(provider);
+  }
+  if (out.length === 0) throw new Error('No discovery sources given');
+  return out;
+}
@@ -0,0 +1,273 @@
+import { readRows } from './output.js';
+import { DEPENDENT_CONTACT_ROW, DEPENDENT_ROW, DIFF_ROW, SCAN_ROW } from './schema.js';
+
+// Row filters, orderings and column selections over a schema, shared by the analysis (applied
+// before writing) and the query subcommand (applied to an existing output). --where takes a
+// small expression language, never evaluated as JavaScript:
+//   still_impacted_now && dependency_type != 'dev'
+//   (weekly_downloads >= 1000 || uses_exact_pin) && !error
+//   dependent =~ '^@acme/'
+// Operators: || && ! == != < <= > >= =~ (regex match) !~ (no match), parentheses. Literals:
+// numbers, 'single' or "double" quoted strings, true, false, null. A bare boolean column is
+// true only when it holds true ("unresolvable" is not); other columns when they are non-empty
+// and not "false" (numbers: non-zero). Comparisons are numeric when both sides are numbers.
+
+const OPERATORS = ['||', '&&', '==', '!=', '<=', '>=', '=~', '!~', '<', '>', '!', '(', ')'];
+
+function columnError(option, name, schema) {
+  return new Error(
+    `${option}: unknown column "${name}" (expected one of: ${schema.fields.join(', ')})`,
+  );
+}
+
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+  while (i < expr.length) {
+    const c = expr[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const at = i;
+    if (c === "'" || c === '"') {
+      let value = '';
+      for (i++; i < expr.length && expr[i] !== c; i++) {
+        if (expr[i] === '\\' && i + 1 < expr.length) i++;
+        value += expr[i];
+      }
+      if (i >= expr.length) throw new Error(`--where: unterminated string at ${at + 1}`);
+      i++;
+      tokens.push({ type: 'string', value, at });
+      continue;
+    }
+    const number = /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(expr.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), at });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expr.slice(i));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0], at });
+      i += word[0].length;
+      continue;
+    }
+    const op = OPERATORS.find((o) => expr.startsWith(o, i));
+    if (!op) throw new Error(`--where: unexpected "${c}" at ${at + 1}`);
+    tokens.push({ type: 'op', value: op, at });
+    i += op.length;
+  }
+  return tokens;
+}
+
+const ORDERINGS = {
+  '<': (d) => d < 0,
+  '<=': (d) => d <= 0,
+  '>': (d) => d > 0,
+  '>=': (d) => d >= 0,
+};
+
+function isNumeric(v) {
+  if (typeof v === 'number') return Number.isFinite(v);
+  return typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v));
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function equals(a, b) {
+  if (a === null || b === null) return isEmpty(a) && isEmpty(b);
+  if (isNumeric(a) && isNumeric(b)) return Number(a) === Number(b);
+  return String(a) === String(b);
+}
+
+function order(a, b) {
+  // Numbers numerically, the rest as strings; null when either side is empty
+  if (isEmpty(a) || isEmpty(b)) return null;
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+export function compileWhere(expr, schema) {
+  // A predicate over rows of schema; unknown columns and syntax errors throw
+  const tokens = tokenize(String(expr));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const fail = (message) => {
+    const t = peek();
+    throw new Error(`--where: ${message} ${t ? `at ${t.at + 1}` : 'at the end'}`);
+  };
+
+  // Each node compiles to (row) => value; truth(node) turns it into a boolean
+  function truth(node) {
+    if (node.column && typeof schema.defaults[node.column] === 'boolean')
+      return (row) => node.get(row) === true;
+    return (row) => {
+      const v = node.get(row);
+      if (typeof v === 'number') return v !== 0;
+      return v === true || (typeof v === 'string' && v !== '' && v !== 'false');
+    };
+  }
+
+  function primary() {
+    const t = peek();
+    if (!t) fail('expected a value');
+    pos++;
+    if (t.type === 'op' && t.value === '(') {
+      const node = or();
+      if (!isOp(')')) fail('expected ")"');
+      pos++;
+      return node;
+    }
+    if (t.type === 'string' || t.type === 'number') return { get: () => t.value };
+    if (t.type === 'word') {
+      if (t.value === 'true' || t.value === 'false') return { get: () => t.value === 'true' };
+      if (t.value === 'null') return { get: () => null };
+      if (!schema.fields.includes(t.value)) throw columnError('--where', t.value, schema);
+      const column = t.value;
+      return { column, get: (row) => row[column] ?? schema.defaults[column] };
+    }
+    pos--;
+    return fail(`unexpected "${t.value}"`);
+  }
+
+  function comparison() {
+    const left = primary();
+    const t = peek();
+    if (t?.type !== 'op' || !['==', '!=', '<', '<=', '>', '>=', '=~', '!~'].includes(t.value))
+      return left;
+    pos++;
+    const right = primary();
+    const op = t.value;
+    if (op === '=~' || op === '!~') {
+      if (right.column) throw new Error(`--where: ${op} needs a string literal at ${t.at + 1}`);
+      let re;
+      try {
+        re = new RegExp(right.get({}));
+      } catch (e) {
+        throw new Error(`--where: invalid regular expression at ${t.at + 1}: ${e.message}`);
+      }
+      const negate = op === '!~';
+      return { get: (row) => re.test(String(left.get(row) ?? '')) !== negate };
+    }
+    if (op === '==' || op === '!=') {
+      const negate = op === '!=';
+      return { get: (row) => equals(left.get(row), right.get(row)) !== negate };
+    }
+    const test = ORDERINGS[op];
+    // An empty value is neither smaller nor larger than anything
+    return {
+      get: (row) => {
+        const d = order(left.get(row), right.get(row));
+        return d !== null && test(d);
+      },
+    };
+  }
+
+  function not() {
+    if (!isOp('!')) return comparison();
+    pos++;
+    const inner = truth(not());
+    return { get: (row) => !inner(row) };
+  }
+
+  function chain(op, next) {
+    return () => {
+      const parts = [next()];
+      while (isOp(op)) {
+        pos++;
+        parts.push(next());
+      }
+      if (parts.length === 1) return parts[0];
+      const tests = parts.map(truth);
+      return {
+        get: op === '&&' ? (row) => tests.every((f) => f(row)) : (row) => tests.some((f) => f(row)),
+      };
+    };
+  }
+  const and = chain('&&', not);
+  const or = chain('||', and);
+
+  if (tokens.length === 0) throw new Error('--where: empty expression');
+  const root = or();
+  if (pos < tokens.length) fail(`unexpected "${peek().value}"`);
+  return truth(root);
+}
+
+export function compareBy(spec, schema) {
+  // "risk_score:desc,dependent": a comparator for Array#sort. Numbers sort numerically, true
+  // before false when descending; empty values always come last.
+  const keys = String(spec)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [column, direction = 'asc'] = s.split(':').map((p) => p.trim());
+      if (!schema.fields.includes(column)) throw columnError('--sort', column, schema);
+      if (direction !== 'asc' && direction !== 'desc')
+        throw new Error(`--sort: unknown direction "${direction}" (expected: asc, desc)`);
+      return { column, sign: direction === 'desc' ? -1 : 1 };
+    });
+  if (keys.length === 0) throw new Error('--sort: no columns given');
+  const value = (row, column) => {
+    const v = row[column];
+    return typeof v === 'boolean' ? Number(v) : v;
+  };
+  return (a, b) => {
+    for (const { column, sign } of keys) {
+      const x = value(a, column);
+      const y = value(b, column);
+      if (isEmpty(x) || isEmpty(y)) {
+        if (isEmpty(x) !== isEmpty(y)) return isEmpty(x) ? 1 : -1;
+        continue;
+      }
+      const d = order(x, y);
+      if (d) return sign * d;
+    }
+    return 0;
+  };
+}
+
+export function selectColumns(list, schema) {
+  // "dependent,risk_score" -> the columns to write, validated against the schema
+  const columns = String(list)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const column of columns)
+    if (!schema.fields.includes(column)) throw columnError('--columns', column, schema);
+  if (columns.length === 0) throw new Error('--columns: no columns given');
+  return columns;
+}
+
+export function compileQuery({ where, sort, columns } = {}, schema) {
+  // The three options at once; each is null when not given
+  return {
+    filter: where ? compileWhere(where, schema) : null,
+    compare: sort ? compareBy(sort, schema) : null,
+    columns: columns ? selectColumns(columns, schema) : null,
+  };
+}
+
+function schemaOf(row = {}) {
+  // The schema an output was written with, told by its columns
+  if ('change' in row) return DIFF_ROW;
+  if ('lockfile' in row) return SCAN_ROW;
+  if ('repository_url' in row) return DEPENDENT_CONTACT_ROW;
+  return DEPENDENT_ROW;
+}
+
+export async function readResults(file, format) {
+  // Rows of an analysis, scan or diff output with the schema they were written with. CSV
+  // values are typed with every schema's columns since the kind is only known once read.
+  const types = {
+    defaults: { ...DIFF_ROW.defaults, ...SCAN_ROW.defaults, ...DEPENDENT_CONTACT_ROW.defaults },
+  };
+  const rows = await readRows(file, types, format);
+  return { schema: schemaOf(rows[0]), rows };
+}
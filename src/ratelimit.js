@@ -0,0 +1,132 @@
+import { setTimeout as delay } from 'node:timers/promises';
+
+// Per-host request scheduling for every HTTP request the tool makes. Each host gets a token
+// bucket refilled at its rate (requests per second, bursting up to one second's worth). A 429
+// blocks the host until its Retry-After has passed and halves its rate; successful responses
+// win the rate back a step at a time, up to the configured one. One throttled host therefore
+// only slows down requests to that host. Counters per host feed the run report.
+
+// Requests per second; hosts not listed get the default rate
+export const DEFAULT_RATES = {
+  'registry.npmjs.org': 50,
+  'api.npms.io': 10,
+  'api.npmjs.org': 10,
+  'www.npmjs.com': 2,
+  'libraries.io': 1,
+  'deps.dev': 10,
+  'packages.ecosyste.ms': 5,
+  'replicate.npmjs.com': 10,
+};
+
+const DEFAULT_RATE = 20;
+const MIN_RATE = 0.2;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return String(url);
+  }
+}
+
+export function retryAfterMs(header, now = Date.now()) {
+  // Retry-After as seconds or an HTTP date; null when absent or unreadable
+  if (header == null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function createHostScheduler({ rates = {}, defaultRate = DEFAULT_RATE } = {}) {
+  const configured = { ...DEFAULT_RATES, ...rates };
+  const hosts = new Map();
+
+  function stateOf(url) {
+    const host = hostOf(url);
+    if (!hosts.has(host)) {
+      const rate = Math.max(MIN_RATE, configured[host] ?? defaultRate);
+      hosts.set(host, {
+        host,
+        maxRate: rate,
+        rate,
+        tokens: Math.max(1, rate),
+        refilledAt: Date.now(),
+        blockedUntil: 0,
+        // Waiters take tokens in arrival order
+        queue: Promise.resolve(),
+        stats: {
+          requests: 0,
+          cached: 0,
+          not_modified: 0,
+          retries: 0,
+          throttled: 0,
+          failed: 0,
+          throttled_ms: 0,
+          queued_ms: 0,
+        },
+      });
+    }
+    return hosts.get(host);
+  }
+
+  async function take(h) {
+    while (true) {
+      const now = Date.now();
+      if (h.blockedUntil > now) {
+        h.stats.throttled_ms += h.blockedUntil - now;
+        await delay(h.blockedUntil - now);
+        continue;
+      }
+      h.tokens = Math.min(Math.max(1, h.rate), h.tokens + ((now - h.refilledAt) / 1000) * h.rate);
+      h.refilledAt = now;
+      if (h.tokens >= 1) {
+        h.tokens -= 1;
+        return;
+      }
+      const wait = Math.ceil(((1 - h.tokens) / h.rate) * 1000);
+      h.stats.queued_ms += wait;
+      await delay(wait);
+    }
+  }
+
+  return {
+    // Resolves when a request to url may be sent
+    async acquire(url) {
+      const h = stateOf(url);
+      const turn = h.queue.then(() => take(h));
+      h.queue = turn;
+      await turn;
+      h.stats.requests++;
+    },
+
+    // A 429: nothing goes to the host for waitMs, and it gets half the rate
+    throttle(url, waitMs) {
+      const h = stateOf(url);
+      h.stats.throttled++;
+      h.blockedUntil = Math.max(h.blockedUntil, Date.now() + waitMs);
+      h.rate = Math.max(MIN_RATE, h.rate / 2);
+      h.tokens = 0;
+    },
+
+    // A response other than 429: the rate creeps back towards the configured one
+    succeed(url) {
+      const h = stateOf(url);
+      if (h.rate < h.maxRate) h.rate = Math.min(h.maxRate, h.rate + h.maxRate / 20);
+    },
+
+    // Counters without a request of their own: cached, not_modified, retries, failed
+    count(url, counter) {
+      stateOf(url).stats[counter]++;
+    },
+
+    report() {
+      // One entry per host, busiest first
+      return Array.from(hosts.values(), (h) => ({
+        host: h.host,
+        ...h.stats,
+        rate: Math.round(h.rate * 100) / 100,
+      })).sort((a, b) => b.requests + b.cached - (a.requests + a.cached));
+    },
+  };
+}
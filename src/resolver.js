@@ -0,0 +1,213 @@
+import semver from 'semver';
+import { declaredSpec, parseSpec, registryTarget } from './specs.js';
+import { isCompromised, toDateSafe } from './versions.js';
+
+// Range resolution the way npm installs (npm-pick-manifest): the `latest` dist-tag wins when it
+// satisfies the range, deprecated versions are avoided while anything else satisfies,
+// prereleases only match ranges that name one, and unpublished versions (still in `time`, gone
+// from `versions`) cannot be installed. Each resolution comes with notes on what changed the
+// outcome compared to "highest satisfying version". Declared specs go through resolve(), which
+// also handles dist-tags and npm: aliases and leaves non-registry specs unresolved.
+
+const LOOSE = { loose: true };
+
+function matches(version, range) {
+  try {
+    return semver.satisfies(version, range, LOOSE);
+  } catch {
+    return false;
+  }
+}
+
+function listSome(versions, max = 3) {
+  const more = versions.length - max;
+  return versions.slice(0, max).join(', ') + (more > 0 ? ` and ${more} more` : '');
+}
+
+function pick(candidates, range, { latest = null, inferred = false, deprecated = null } = {}) {
+  const notes = [];
+  if (!semver.validRange(range, LOOSE)) return { version: null, notes: ['not a semver range'] };
+  const matching = candidates.filter((v) => matches(v, range)).sort(semver.rcompare);
+  const avoid = (v) => !!deprecated?.(v);
+  let version;
+  if (latest && matching.includes(latest) && !avoid(latest)) {
+    version = latest;
+    if (matching[0] !== latest)
+      notes.push(
+        `latest tag ${latest}${inferred ? ' (inferred)' : ''} preferred over ${matching[0]}`,
+      );
+  } else {
+    version = matching.find((v) => !avoid(v)) || matching[0] || null;
+    if (!version) notes.push('no version satisfies the range');
+    else if (avoid(version)) notes.push(`only deprecated versions satisfy the range`);
+    else {
+      const skipped = matching.filter((v) => avoid(v) && semver.gt(v, version));
+      if (skipped.length > 0) notes.push(`deprecated ${listSome(skipped)} skipped`);
+    }
+  }
+  const pre = candidates
+    .filter(
+      (v) =>
+        semver.prerelease(v) &&
+        !matches(v, range) &&
+        semver.satisfies(v, range, { ...LOOSE, includePrerelease: true }),
+    )
+    .sort(semver.rcompare)[0];
+  // Only worth a note where a prerelease-including match would have picked it
+  if (pre && (!matching[0] || semver.gt(pre, matching[0])))
+    notes.push(`prerelease ${pre} not matched by the range`);
+  return { version, notes };
+}
+
+export function createResolver(packument) {
+  const versions = packument?.versions || {};
+  const distTags = packument?.['dist-tags'] || {};
+  const current = semver.valid(distTags.latest || '', LOOSE);
+  const published = Object.keys(versions).filter((v) => semver.valid(v, LOOSE));
+  const isDeprecated = (v) => !!versions[v]?.deprecated;
+  // Publish timeline from `time`, which also keeps unpublished versions; oldest first
+  const timeline = [];
+  for (const [version, at] of Object.entries(packument?.time || {})) {
+    const date = toDateSafe(at);
+    if (date && semver.valid(version, LOOSE)) timeline.push({ version, date });
+  }
+  timeline.sort((a, b) => a.date - b.date);
+  const unpublished = timeline.map((t) => t.version).filter((v) => !Object.hasOwn(versions, v));
+
+  function latestAt(candidates) {
+    // The registry keeps today's dist-tags only. Publishing moves `latest` by default, so the
+    // latest at a past date is taken as the highest release out by then. Releases above today's
+    // latest only count if they were since unpublished or deprecated (a bad release cleaned up);
+    // live ones were published under another tag.
+    return (
+      candidates
+        .filter(
+          (v) =>
+            !semver.prerelease(v) &&
+            (!current || semver.lte(v, current) || !versions[v] || isDeprecated(v)),
+        )
+        .sort(semver.rcompare)[0] || null
+    );
+  }
+
+  function candidatesAt(atDate, { compromised = [], window = null } = {}) {
+    // Versions out at atDate. With a compromise window, the compromised versions count as
+    // published from window.from even if the timeline lost them, and as pulled after
+    // window.until.
+    let dated = timeline;
+    if (window?.until && atDate > window.until) {
+      const bad = new Set(compromised);
+      dated = dated.filter((t) => !bad.has(t.version));
+    } else if (window?.from) {
+      const known = new Set(dated.map((t) => t.version));
+      const missing = compromised.filter((v) => !known.has(v));
+      dated = [...dated, ...missing.map((version) => ({ version, date: window.from }))];
+    }
+    return dated.filter((t) => t.date <= atDate).map((t) => t.version);
+  }
+
+  const nowByRange = new Map();
+
+  return {
+    timeline,
+
+    // What `npm install` picks today: published versions only, deprecations avoided
+    now(range) {
+      if (!range) return { version: null, notes: [] };
+      if (!nowByRange.has(range)) {
+        const resolved = pick(published, range, {
+          latest: current && versions[current] ? current : null,
+          deprecated: isDeprecated,
+        });
+        const gone = unpublished.filter((v) => matches(v, range)).sort(semver.rcompare)[0];
+        if (gone && (!resolved.version || semver.gt(gone, resolved.version)))
+          resolved.notes.push(`${gone} unpublished`);
+        nowByRange.set(range, resolved);
+      }
+      const { version, notes } = nowByRange.get(range);
+      return { version, notes: [...notes] };
+    },
+
+    // What it picked at atDate: versions out by then, including ones unpublished since, with
+    // an inferred latest tag. Deprecations are ignored, as their dates are not recorded.
+    at(range, atDate, options) {
+      if (!range || !atDate) return { version: null, notes: [] };
+      const candidates = candidatesAt(atDate, options);
+      const latest = latestAt(candidates);
+      return pick(candidates, range, { latest, inferred: latest !== current });
+    },
+
+    // A dist-tag installs whatever it points to, deprecated or not
+    tagNow(tag) {
+      const version = distTags[tag];
+      if (!version) return { version: null, notes: [`no dist-tag ${tag}`] };
+      if (!Object.hasOwn(versions, version))
+        return { version: null, notes: [`dist-tag ${tag} points to unpublished ${version}`] };
+      return { version, notes: [] };
+    },
+
+    // Only `latest` can be inferred for a past date; other tags are assumed to have pointed to
+    // today's version if it was out by then
+    tagAt(tag, atDate, options) {
+      if (!atDate) return { version: null, notes: [] };
+      const candidates = candidatesAt(atDate, options);
+      if (tag === 'latest') {
+        const version = latestAt(candidates);
+        if (!version) return { version: null, notes: ['no release published yet'] };
+        return { version, notes: version !== current ? [`latest tag inferred as ${version}`] : [] };
+      }
+      const version = distTags[tag];
+      if (version && candidates.includes(version))
+        return { version, notes: [`dist-tag ${tag} taken as today's ${version}`] };
+      return { version: null, notes: [`dist-tag ${tag} at that date is unknown`] };
+    },
+
+    // Both resolutions of a declared spec: { kind, atRelease, now }. Aliases resolve their own
+    // spec (callers pick the declaration aliasing this package, see declaredSpec); git,
+    // tarball, file, workspace and link specs, and invalid ones, resolve to null.
+    resolve(raw, atDate, options) {
+      const spec = parseSpec(raw);
+      const target = registryTarget(spec);
+      if (!target) return { kind: spec.kind, atRelease: null, now: null };
+      if (target.kind === 'tag')
+        return {
+          kind: spec.kind,
+          atRelease: this.tagAt(target.tag, atDate, options),
+          now: this.tagNow(target.tag),
+        };
+      return {
+        kind: spec.kind,
+        atRelease: this.at(target.range, atDate, options),
+        now: this.now(target.range),
+      };
+    },
+  };
+}
+
+export function impactedVersionsOf(
+  pkgMeta,
+  targetName,
+  targetResolver,
+  compromised,
+  includePeer,
+  window = null,
+) {
+  // Every version of a dependent whose runtime range on targetName resolves to a compromised
+  // version, either at that version's publish time or today. devDependencies are not installed
+  // by consumers, so they never carry the compromise onward.
+  const time = pkgMeta?.time || {};
+  const out = new Set();
+  for (const [v, man] of Object.entries(pkgMeta?.versions || {})) {
+    const range =
+      declaredSpec(man?.dependencies, targetName) ||
+      (includePeer && declaredSpec(man?.peerDependencies, targetName));
+    if (!range) continue;
+    const { atRelease, now } = targetResolver.resolve(range, toDateSafe(time[v]), {
+      compromised,
+      window,
+    });
+    if (isCompromised(atRelease?.version, compromised) || isCompromised(now?.version, compromised))
+      out.add(v);
+  }
+  return Array.from(out);
+}
@@ -0,0 +1,75 @@
+import { countDependents } from './discovery.js';
+import { DEFAULT_TIMEOUT_MS, fetchJSON } from './http.js';
+import { toDateSafe } from './versions.js';
+
+// Risk score (0-100) for an impacted dependent: how sure we are it ships the compromise, how
+// it is consumed, and how many people install it. Each component is listed in risk_factors as
+// "<factor>+<points>" so the ranking can be explained; rows that are not impacted score 0.
+
+const NPM_DOWNLOADS_URL = process.env.NPM_DOWNLOADS_URL || 'https://api.npmjs.org/downloads';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function fetchWeeklyDownloads(name, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  // Scoped names are accepted unencoded by the downloads API
+  const data = await fetchJSON(`${NPM_DOWNLOADS_URL}/point/last-week/${name}`, {}, 3, timeoutMs);
+  return Number.isFinite(data?.downloads) ? data.downloads : null;
+}
+
+export async function fetchPopularity(name, { index = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  // Missing figures (offline, API errors) only drop their factor from the score
+  const [weeklyDownloads, dependents] = await Promise.all([
+    fetchWeeklyDownloads(name, timeoutMs).catch(() => null),
+    countDependents(name, { index, timeoutMs }),
+  ]);
+  return { weeklyDownloads, dependents };
+}
+
+function logPoints(n, perDecade, max) {
+  return Math.min(max, Math.round(Math.log10(n + 1) * perDecade));
+}
+
+export function scoreRisk(row, popularity = {}, now = Date.now()) {
+  const factors = [];
+  const add = (name, points) => {
+    if (points > 0) factors.push([name, points]);
+  };
+  // "unresolvable" (git, tarball and local specs) does not count as impacted
+  if (row.error || !(row.still_impacted_now === true || row.likely_impacted_at_release === true))
+    return { risk_score: 0, risk_factors: '' };
+
+  // Resolving to a compromised version today matters more than having done so at release
+  if (row.still_impacted_now === true) add('impacted_now', 35);
+  else add('impacted_at_release', 15);
+  // Exact pins install the compromised version with certainty
+  if (row.uses_exact_pin) add('exact_pin', 10);
+  // devDependencies are not installed by consumers
+  add(`type_${row.dependency_type || 'unknown'}`, { dep: 15, peer: 8 }[row.dependency_type] || 0);
+  const { weeklyDownloads, dependents } = popularity;
+  // 100k weekly downloads or ~300 dependents reach the maximum
+  if (weeklyDownloads != null)
+    add(`downloads=${weeklyDownloads}`, logPoints(weeklyDownloads, 4, 20));
+  if (dependents != null) add(`dependents=${dependents}`, logPoints(dependents, 4, 10));
+  // Recently updated packages are being installed fresh
+  const updated = toDateSafe(row.last_update);
+  if (updated) {
+    const days = Math.floor((now - updated.getTime()) / DAY_MS);
+    add(`updated_${days}d_ago`, days <= 90 ? 10 : days <= 365 ? 5 : 0);
+  }
+  return {
+    risk_score: Math.min(
+      100,
+      factors.reduce((sum, [, p]) => sum + p, 0),
+    ),
+    risk_factors: factors.map(([name, p]) => `${name}+${p}`).join('|'),
+  };
+}
+
+export function compareRisk(a, b) {
+  // Highest risk first; ties go to impacted-now rows, then to the more downloaded dependent
+  return (
+    (b.risk_score || 0) - (a.risk_score || 0) ||
+    Number(b.still_impacted_now === true) - Number(a.still_impacted_now === true) ||
+    (Number(b.weekly_downloads) || 0) - (Number(a.weekly_downloads) || 0)
+  );
+}
@@ -0,0 +1,101 @@
+// Row schemas shared by every output format. Each schema lists its columns in output order with
+// the value used when a row does not set them (e.g. error rows), so a new column only needs to
+// be added here to appear in CSV headers, JSON/NDJSON rows, SARIF properties and HTML reports.
+// Column meanings are documented in docs/data-dictionary.md.
+
+function defineSchema(name, defaults) {
+  return { name, fields: Object.keys(defaults), defaults };
+}
+
+function withoutError({ error: _error, ...rest }) {
+  return rest;
+}
+
+export const DEPENDENT_ROW = defineSchema('dependents', {
+  source_package: '',
+  source_version: '',
+  advisory_id: '',
+  dependent: '',
+  dependent_version_range: '',
+  spec_kind: '',
+  dependent_latest_version: '',
+  last_update: '',
+  dependent_matched_version: '',
+  dependency_type: '',
+  is_dev_dependency: false,
+  source_version_satisfies: false,
+  dependent_source: '',
+  compromised_versions: '',
+  compromised_published_at: '',
+  compromised_from: '',
+  compromised_until: '',
+  published_in_window: false,
+  dependent_version_published_at: '',
+  resolved_at_dependent_release: '',
+  resolved_now: '',
+  resolution_notes: '',
+  likely_impacted_at_release: false,
+  still_impacted_now: false,
+  uses_exact_pin: false,
+  shipped_version: '',
+  shipped_via: '',
+  depth: 1,
+  path: '',
+  weekly_downloads: '',
+  dependents_count: '',
+  risk_score: 0,
+  risk_factors: '',
+  error: '',
+});
+
+// Added with --contacts; kept out of the default schema since they carry maintainer emails
+export const DEPENDENT_CONTACT_ROW = defineSchema('dependents', {
+  ...withoutError(DEPENDENT_ROW.defaults),
+  maintainers: '',
+  maintainer_emails: '',
+  repository_url: '',
+  bugs_url: '',
+  homepage: '',
+  funding_url: '',
+  error: '',
+});
+
+export const SCAN_ROW = defineSchema('scan', {
+  source_package: '',
+  source_version: '',
+  advisory_id: '',
+  project: '',
+  lockfile: '',
+  lockfile_type: '',
+  installed_version: '',
+  dependency_path: '',
+  install_location: '',
+  is_dev_dependency: false,
+  is_optional_dependency: false,
+  is_peer_dependency: false,
+  error: '',
+});
+
+export const DIFF_ROW = defineSchema('diff', {
+  source_package: '',
+  source_version: '',
+  advisory_id: '',
+  dependent: '',
+  change: '',
+  changed_fields: '',
+  before_still_impacted_now: '',
+  after_still_impacted_now: '',
+  before_likely_impacted_at_release: '',
+  after_likely_impacted_at_release: '',
+  before_dependent_latest_version: '',
+  after_dependent_latest_version: '',
+  before_dependent_version_range: '',
+  after_dependent_version_range: '',
+});
+
+export function makeRow(schema, values) {
+  // Only schema columns are kept, in schema order; unset (or null) values get the default
+  const row = {};
+  for (const f of schema.fields) row[f] = values?.[f] ?? schema.defaults[f];
+  return row;
+}
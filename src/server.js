@@ -0,0 +1,395 @@
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import pLimit from 'p-limit';
+import Papa from 'papaparse';
+import { analyzeBlastRadius } from './analyze.js';
+import { DEFAULT_TIMEOUT_MS } from './http.js';
+import { resolveSources } from './providers.js';
+import { DEPENDENT_CONTACT_ROW, DEPENDENT_ROW } from './schema.js';
+
+// Service mode: analyses submitted over HTTP run as jobs in one process. Every job shares the
+// same request limiter (and whatever HTTP cache and index the caller configured), so parallel
+// submissions do not multiply the load on the registry; at most `jobs` analyses run at once and
+// the rest wait in submission order. Rows are kept in memory for the last `keep` finished jobs.
+//
+//   POST /analyses            { package, versions?, advisory_id?, compromised_from?,
+//                               compromised_until?, options? } -> 202 { id, status }
+//   GET  /analyses            every known job, newest first
+//   GET  /analyses/:id        status and progress counts
+//   GET  /analyses/:id/rows   ?format=json|csv (paged with offset/limit) or ndjson (streamed
+//                             until the job finishes)
+//   GET  /health
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// Analysis options a request may set; everything else is fixed by the server
+const JOB_OPTIONS = {
+  depth: 'number',
+  maxDependents: 'number',
+  includeDev: 'boolean',
+  includePeer: 'boolean',
+  allVersions: 'boolean',
+  contacts: 'boolean',
+  inspectTarballs: 'boolean',
+  noLibraries: 'boolean',
+  noScrape: 'boolean',
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_PAGE = 500;
+const MAX_PAGE = 5000;
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function readBody(req) {
+  return new Promise((res, rej) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        rej(httpError(413, 'request body too large'));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on('end', () => res(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', rej);
+  });
+}
+
+function jobOptions(input, { maxDependents, maxDepth }) {
+  const out = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    const type = JOB_OPTIONS[key];
+    if (!type) throw httpError(400, `unknown option "${key}"`);
+    if (typeof value !== type) throw httpError(400, `option "${key}" must be a ${type}`);
+    if (type === 'number' && !(Number.isInteger(value) && value >= 0))
+      throw httpError(400, `option "${key}" must be a non-negative integer`);
+    out[key] = value;
+  }
+  if ('depth' in out && !(out.depth >= 1 && out.depth <= maxDepth))
+    throw httpError(400, `option "depth" must be between 1 and ${maxDepth}`);
+  // The server's --max caps every job (0 in a request means "up to the cap"); without one,
+  // every job names its own
+  if (maxDependents > 0)
+    out.maxDependents = Math.min(out.maxDependents || maxDependents, maxDependents);
+  else if (!(out.maxDependents > 0))
+    throw httpError(400, 'option "maxDependents" must be positive: the server sets no --max');
+  return out;
+}
+
+function parseDate(value, field) {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `"${field}" is not a date`);
+  return date.toISOString();
+}
+
+function parseSubmission(body, limits) {
+  let input;
+  try {
+    input = JSON.parse(body || '{}');
+  } catch {
+    throw httpError(400, 'request body is not JSON');
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input))
+    throw httpError(400, 'request body must be a JSON object');
+  if (typeof input.package !== 'string' || !input.package.trim())
+    throw httpError(400, '"package" is required');
+  const versions = Array.isArray(input.versions)
+    ? input.versions.map(String).join('|')
+    : String(input.versions ?? '');
+  return {
+    package: input.package.trim(),
+    versions,
+    advisory_id: String(input.advisory_id ?? ''),
+    compromised_from: parseDate(input.compromised_from, 'compromised_from'),
+    compromised_until: parseDate(input.compromised_until, 'compromised_until'),
+    options: jobOptions(input.options, limits),
+  };
+}
+
+function progressOf(job) {
+  // Dependents summed over every hop walked so far, and what the rows found
+  let total = 0;
+  let processed = 0;
+  for (const p of job.hops.values()) {
+    total += p.total;
+    processed += p.processed;
+  }
+  return {
+    dependents_total: total,
+    dependents_processed: processed,
+    hops: job.hops.size,
+    rows: job.rows.length,
+    impacted_at_release: job.rows.filter((r) => r.likely_impacted_at_release === true).length,
+    impacted_now: job.rows.filter((r) => r.still_impacted_now === true).length,
+    errors: job.rows.filter((r) => r.error).length,
+  };
+}
+
+function describe(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    package: job.package,
+    versions: job.versions,
+    advisory_id: job.advisory_id,
+    compromised_from: job.compromised_from,
+    compromised_until: job.compromised_until,
+    options: job.options,
+    submitted_at: job.submittedAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt,
+    error: job.error,
+    progress: progressOf(job),
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function pageOf(url) {
+  const offset = Number(url.searchParams.get('offset') || 0);
+  const limit = Number(url.searchParams.get('limit') || DEFAULT_PAGE);
+  if (!Number.isInteger(offset) || offset < 0)
+    throw httpError(400, '"offset" must be a non-negative integer');
+  if (!Number.isInteger(limit) || limit < 1)
+    throw httpError(400, '"limit" must be a positive integer');
+  return { offset, limit: Math.min(limit, MAX_PAGE) };
+}
+
+function authorized(req, token) {
+  if (!token) return true;
+  const given = Buffer.from(/^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1] || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export function createServer(options = {}) {
+  // Returns { server, jobs, submit, listen(port, host), close() }. The caller configures the
+  // HTTP cache (configureHttpCache) before starting; index is an open dependency index or null.
+  const {
+    concurrency = 8,
+    jobs: maxRunning = 2,
+    keep = 100,
+    maxDependents = 0,
+    maxDepth = 3,
+    maxQueued = 100,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    noLibraries = false,
+    noScrape = false,
+    sources = null,
+    sourcesMode = 'fallback',
+    privatePackages = null,
+    index = null,
+    token = '',
+    quiet = true,
+  } = options;
+  const limit = pLimit(concurrency);
+  const queue = pLimit(Math.max(1, maxRunning));
+  const jobs = new Map();
+  const countJobs = (status) => Array.from(jobs.values()).filter((j) => j.status === status).length;
+
+  function prune() {
+    // Forget the oldest finished jobs beyond `keep`; queued and running ones always stay
+    const finished = Array.from(jobs.values()).filter(
+      (j) => j.status === 'done' || j.status === 'failed',
+    );
+    for (const job of finished.slice(0, Math.max(0, finished.length - keep))) jobs.delete(job.id);
+  }
+
+  async function run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    if (!quiet) console.log(`[serve] job ${job.id} started: ${job.package}@${job.versions || '*'}`);
+    try {
+      for await (const row of analyzeBlastRadius({
+        package: job.package,
+        versions: job.versions,
+        advisoryId: job.advisory_id,
+        compromisedFrom: job.compromised_from,
+        compromisedUntil: job.compromised_until,
+        options: {
+          ...job.options,
+          // A source the server disabled stays off whatever the request says
+          noLibraries: noLibraries || !!job.options.noLibraries,
+          noScrape: noScrape || !!job.options.noScrape,
+          sources,
+          sourcesMode,
+          privatePackages,
+          limit,
+          timeout: timeoutMs,
+          index,
+          quiet: true,
+          onProgress: ({ path, processed, total }) => job.hops.set(path, { processed, total }),
+        },
+      })) {
+        job.rows.push(row);
+        job.emit();
+      }
+      job.status = 'done';
+    } catch (e) {
+      job.status = 'failed';
+      job.error = String(e?.message || e);
+    }
+    job.finishedAt = new Date().toISOString();
+    job.emit();
+    if (!quiet)
+      console.log(
+        `[serve] job ${job.id} ${job.status}: ${job.rows.length} rows${job.error ? ` (${job.error})` : ''}`,
+      );
+    prune();
+  }
+
+  function submit(submission) {
+    // A request turning off a source the server's --sources names cannot run
+    try {
+      resolveSources(sources, {
+        noLibraries: noLibraries || !!submission.options?.noLibraries,
+        noScrape: noScrape || !!submission.options?.noScrape,
+      });
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    const listeners = new Set();
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      ...submission,
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      rows: [],
+      // Progress per hop node (path), as reported by processPackage
+      hops: new Map(),
+      listeners,
+      emit: () => {
+        for (const fn of listeners) fn();
+      },
+    };
+    jobs.set(job.id, job);
+    queue(() => run(job));
+    return job;
+  }
+
+  function streamRows(req, res, job, offset) {
+    // NDJSON from offset on, kept open until the job finishes or the client goes away
+    res.writeHead(200, { 'content-type': 'application/x-ndjson; charset=utf-8' });
+    let next = offset;
+    const flush = () => {
+      while (next < job.rows.length) res.write(JSON.stringify(job.rows[next++]) + '\n');
+      if (job.status === 'done' || job.status === 'failed') {
+        job.listeners.delete(flush);
+        res.end();
+      }
+    };
+    job.listeners.add(flush);
+    req.on('close', () => job.listeners.delete(flush));
+    flush();
+  }
+
+  function sendRows(req, res, job, url) {
+    const format = (url.searchParams.get('format') || 'json').toLowerCase();
+    const { offset, limit: size } = pageOf(url);
+    if (format === 'ndjson') return streamRows(req, res, job, offset);
+    const rows = job.rows.slice(offset, offset + size);
+    const end = offset + rows.length;
+    const finished = job.status === 'done' || job.status === 'failed';
+    // More rows may still come while the job runs, so a short page is not the last one then
+    const nextOffset = end < job.rows.length || !finished ? end : null;
+    if (format === 'csv') {
+      const schema = job.options.contacts ? DEPENDENT_CONTACT_ROW : DEPENDENT_ROW;
+      res.writeHead(200, {
+        'content-type': 'text/csv; charset=utf-8',
+        'x-total-count': String(job.rows.length),
+        'x-job-status': job.status,
+        ...(nextOffset != null ? { 'x-next-offset': String(nextOffset) } : {}),
+      });
+      return res.end(
+        Papa.unparse({ fields: schema.fields, data: rows }, { header: true, newline: '\n' }) + '\n',
+      );
+    }
+    if (format !== 'json') throw httpError(400, `unknown format "${format}" (json, csv, ndjson)`);
+    sendJson(res, 200, {
+      id: job.id,
+      status: job.status,
+      offset,
+      total: job.rows.length,
+      next_offset: nextOffset,
+      rows,
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (req.method === 'GET' && url.pathname === '/health')
+      return sendJson(res, 200, {
+        status: 'ok',
+        queued: countJobs('queued'),
+        running: countJobs('running'),
+      });
+    if (!authorized(req, token)) {
+      res.setHeader('www-authenticate', 'Bearer');
+      throw httpError(401, 'missing or invalid bearer token');
+    }
+    if (parts[0] !== 'analyses' || parts.length > 3) throw httpError(404, 'not found');
+    if (parts.length === 1) {
+      if (req.method === 'POST') {
+        // Jobs share one limiter, so a long queue only makes every job slower
+        if (countJobs('queued') >= maxQueued) {
+          res.setHeader('retry-after', '60');
+          throw httpError(503, `analysis queue is full (${maxQueued} waiting); retry later`);
+        }
+        const job = submit(parseSubmission(await readBody(req), { maxDependents, maxDepth }));
+        res.setHeader('location', `/analyses/${job.id}`);
+        return sendJson(res, 202, { id: job.id, status: job.status });
+      }
+      if (req.method === 'GET')
+        return sendJson(res, 200, { analyses: Array.from(jobs.values(), describe).reverse() });
+      throw httpError(405, 'method not allowed');
+    }
+    const job = jobs.get(parts[1]);
+    if (!job) throw httpError(404, `no analysis ${parts[1]}`);
+    if (req.method !== 'GET') throw httpError(405, 'method not allowed');
+    if (parts.length === 2) return sendJson(res, 200, describe(job));
+    if (parts[2] === 'rows') return sendRows(req, res, job, url);
+    throw httpError(404, 'not found');
+  }
+
+  const server = createHttpServer((req, res) => {
+    handle(req, res).catch((e) => {
+      const status = e?.status || 500;
+      if (status === 500 && !quiet)
+        console.warn(`[serve] ${req.method} ${req.url}: ${e?.message || e}`);
+      if (res.headersSent) return res.end();
+      sendJson(res, status, { error: String(e?.message || e) });
+    });
+  });
+
+  return {
+    server,
+    jobs,
+    submit,
+    listen(port = 8080, host = '127.0.0.1') {
+      return new Promise((res, rej) => {
+        server.once('error', rej);
+        server.listen(port, host, () => {
+          server.off('error', rej);
+          res(server.address());
+        });
+      });
+    },
+    close() {
+      // Streaming clients are cut off; running jobs are abandoned with the process
+      server.closeAllConnections?.();
+      return new Promise((res) => server.close(() => res()));
+    },
+  };
+}
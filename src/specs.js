@@ -0,0 +1,70 @@
+import semver from 'semver';
+
+// Dependency specs as npm reads them (npm-package-arg): registry versions, ranges and dist-tags,
+// "npm:" aliases of another registry package, and specs that install from outside the registry
+// (git, tarball URLs, local paths, workspace:/link: protocols), which registry metadata cannot
+// resolve. Kinds: version, range, tag, alias, git, tarball, file, workspace, link, invalid.
+
+export const UNRESOLVABLE = 'unresolvable';
+
+const LOOSE = { loose: true };
+
+const GIT_PREFIX = /^(?:git\+[a-z]+:|git:|github:|gitlab:|bitbucket:|gist:|git@|ssh:\/\/)/i;
+const HOSTED_REPO =
+  /^https?:\/\/(?:www\.)?(?:github\.com|gitlab\.com|bitbucket\.org)\/[^/]+\/[^/#]+\/?(?:#.*)?$/i;
+
+function registrySpec(s) {
+  const version = semver.valid(s, LOOSE);
+  if (version) return { kind: 'version', range: version };
+  if (semver.validRange(s, LOOSE)) return { kind: 'range', range: s };
+  // dist-tag names are URL-safe and cannot look like a version
+  if (encodeURIComponent(s) === s && !/^v?\d/i.test(s)) return { kind: 'tag', tag: s };
+  return { kind: 'invalid' };
+}
+
+export function parseSpec(raw) {
+  // { kind, range? (version/range), tag? (tag), name + spec (alias: the aliased package and its
+  // registry spec) }; an empty spec means any version, as in npm
+  const s = String(raw ?? '').trim();
+  if (s === '') return { kind: 'range', range: '*' };
+  if (/^npm:/i.test(s)) {
+    // npm:<name>@<spec>, where a scoped name starts with "@"
+    const m = /^npm:((?:@[^/@\s]+\/)?[^/@\s]+)(?:@(.*))?$/i.exec(s);
+    if (!m) return { kind: 'invalid' };
+    const spec = parseSpec(m[2] ?? '');
+    if (!['version', 'range', 'tag'].includes(spec.kind)) return { kind: 'invalid' };
+    return { kind: 'alias', name: m[1], spec };
+  }
+  if (/^workspace:/i.test(s)) return { kind: 'workspace' };
+  if (/^link:/i.test(s)) return { kind: 'link' };
+  if (/^file:/i.test(s) || /^(?:\.{1,2}|~)?\//.test(s)) return { kind: 'file' };
+  if (GIT_PREFIX.test(s) || HOSTED_REPO.test(s)) return { kind: 'git' };
+  if (/^https?:\/\//i.test(s)) return { kind: 'tarball' };
+  // GitHub shorthand: user/repo[#ref]
+  if (/^[\w.-]+\/[\w.-]+(?:#.*)?$/.test(s)) return { kind: 'git' };
+  return registrySpec(s);
+}
+
+export function registryTarget(spec) {
+  // The version/range/tag part of a parsed spec that resolves against the registry, else null
+  const target = spec?.kind === 'alias' ? spec.spec : spec;
+  return target && ['version', 'range', 'tag'].includes(target.kind) ? target : null;
+}
+
+export function aliasedName(raw) {
+  // Package an "npm:" alias installs, or null for any other spec
+  const spec = parseSpec(raw);
+  return spec.kind === 'alias' ? spec.name : null;
+}
+
+export function declaredSpec(deps, targetName) {
+  // The spec a dependencies-style map declares for targetName: under its own key, unless that
+  // key aliases another package, or under a key aliasing it ("x": "npm:<targetName>@^1")
+  if (!deps) return null;
+  const own = deps[targetName];
+  if (own != null && [null, targetName].includes(aliasedName(own))) return String(own);
+  for (const spec of Object.values(deps)) {
+    if (aliasedName(spec) === targetName) return String(spec);
+  }
+  return null;
+}
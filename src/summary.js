@@ -0,0 +1,275 @@
+import { writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { createRequire } from 'node:module';
+import { formatTable } from './diff.js';
+import { UNRESOLVABLE } from './specs.js';
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+// Impact summary of an analysis, per source package and compromised version, for incident
+// reports: dependents by dependency type, impact counts, errors by cause, when dependents
+// published relative to the compromise, and the versions fresh installs resolve to today. Rows
+// are added one at a time as they are written, so nothing is buffered. Counts are of
+// dependents (a dependent is impacted if any of its rows is), except errors, which are rows.
+// A row counts towards every compromised version its source spec expanded to; its impact
+// towards the version it resolves (or ships) to.
+
+export const SUMMARY_FORMATS = ['json', 'md'];
+
+// Days from compromised_published_at to dependent_version_published_at
+export const PUBLISHED_BUCKETS = ['before', '0-1d', '1-7d', '7-30d', '30-90d', '90d+', 'unknown'];
+const BUCKET_DAYS = [
+  [1, '0-1d'],
+  [7, '1-7d'],
+  [30, '7-30d'],
+  [90, '30-90d'],
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function summaryFormat(file) {
+  const ext = extname(file || '')
+    .slice(1)
+    .toLowerCase();
+  const format = ext === 'markdown' ? 'md' : ext;
+  if (!SUMMARY_FORMATS.includes(format))
+    throw new Error(`--summary ${file}: expected a .json or .md file`);
+  return format;
+}
+
+export function errorCause(message) {
+  // A short cause for a row's error, from the messages the HTTP layer throws
+  const m = String(message || '');
+  if (/^offline:/.test(m)) return 'offline';
+  const status = /Fetch failed (\d{3})/.exec(m)?.[1];
+  if (status === '404') return 'not-found';
+  if (status === '401' || status === '403') return 'unauthorized';
+  if (status === '429') return 'rate-limited';
+  if (status?.startsWith('5')) return 'server-error';
+  if (status) return 'http-error';
+  if (/^Fetch error/.test(m)) return /abort|timed? ?out/i.test(m) ? 'timeout' : 'network';
+  if (/JSON/.test(m)) return 'invalid-response';
+  return 'other';
+}
+
+function publishedBucket(row) {
+  const at = Date.parse(row.dependent_version_published_at || '');
+  const compromised = Date.parse(row.compromised_published_at || '');
+  if (Number.isNaN(at) || Number.isNaN(compromised)) return 'unknown';
+  const days = (at - compromised) / DAY_MS;
+  if (days < 0) return 'before';
+  return BUCKET_DAYS.find(([max]) => days < max)?.[1] || '90d+';
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function impactedVersion(row, resolved, version, compromised) {
+  // Whether this row's impact (at release or now) is through version
+  const at = row.shipped_version || row[resolved];
+  return at ? at === version : compromised.length === 1;
+}
+
+export function createImpactSummary({ top = 5 } = {}) {
+  const byVersion = new Map();
+
+  function bucket(row, version) {
+    const key = `${row.source_package}\u0000${row.source_version}\u0000${version}`;
+    let s = byVersion.get(key);
+    if (!s) {
+      s = {
+        source_package: row.source_package,
+        source_version: row.source_version,
+        compromised_version: version,
+        advisory_id: row.advisory_id || '',
+        rows: 0,
+        dependents: new Map(),
+        errors: {},
+      };
+      byVersion.set(key, s);
+    }
+    return s;
+  }
+
+  return {
+    add(row) {
+      if (!row.source_package) return;
+      const compromised = String(row.compromised_versions || '')
+        .split('|')
+        .filter(Boolean);
+      // A spec that matched no versions still gets a bucket, under ""
+      for (const version of compromised.length > 0 ? compromised : ['']) {
+        const s = bucket(row, version);
+        s.rows++;
+        if (row.error) {
+          increment(s.errors, errorCause(row.error));
+          continue;
+        }
+        // Per dependent: its first row's type and timing, and whether any row is impacted
+        let d = s.dependents.get(row.dependent);
+        if (!d) {
+          d = {
+            type: row.dependency_type || 'none',
+            published: publishedBucket(row),
+            resolvedNow: row.resolved_now || '',
+            compromised,
+            atRelease: false,
+            now: false,
+            exactPin: false,
+            unresolvable: false,
+          };
+          s.dependents.set(row.dependent, d);
+        }
+        const at = (resolved) => impactedVersion(row, resolved, version, compromised);
+        if (row.likely_impacted_at_release === true && at('resolved_at_dependent_release'))
+          d.atRelease = true;
+        if (row.still_impacted_now === true && at('resolved_now')) d.now = true;
+        if (row.uses_exact_pin === true && at('resolved_at_dependent_release')) d.exactPin = true;
+        if (row.still_impacted_now === UNRESOLVABLE) d.unresolvable = true;
+      }
+    },
+
+    result() {
+      return Array.from(byVersion.values(), (s) => {
+        const dependents = Array.from(s.dependents.values());
+        const count = (test) => dependents.filter(test).length;
+        const types = {};
+        const published = Object.fromEntries(PUBLISHED_BUCKETS.map((b) => [b, 0]));
+        const resolved = new Map();
+        for (const d of dependents) {
+          increment(types, d.type);
+          published[d.published]++;
+          if (!d.resolvedNow) continue;
+          if (!resolved.has(d.resolvedNow))
+            resolved.set(d.resolvedNow, {
+              version: d.resolvedNow,
+              dependents: 0,
+              compromised: d.compromised.includes(d.resolvedNow),
+            });
+          resolved.get(d.resolvedNow).dependents++;
+        }
+        return {
+          source_package: s.source_package,
+          source_version: s.source_version,
+          compromised_version: s.compromised_version,
+          advisory_id: s.advisory_id,
+          rows: s.rows,
+          dependents: dependents.length,
+          dependency_types: types,
+          impacted_at_release: count((d) => d.atRelease),
+          impacted_now: count((d) => d.now),
+          exact_pins: count((d) => d.exactPin),
+          unresolvable: count((d) => d.unresolvable),
+          errors: Object.values(s.errors).reduce((a, b) => a + b, 0),
+          error_causes: s.errors,
+          published_after_compromise: published,
+          top_resolved_now: Array.from(resolved.values())
+            .sort((a, b) => b.dependents - a.dependents || a.version.localeCompare(b.version))
+            .slice(0, top),
+        };
+      });
+    },
+  };
+}
+
+export function formatSummaryTable(summary) {
+  // One console line per source package
+  return formatTable(
+    summary.map((s) => ({
+      source_package: s.source_package,
+      compromised_version: s.compromised_version,
+      dependents: s.dependents,
+      dep: s.dependency_types.dep || 0,
+      peer: s.dependency_types.peer || 0,
+      dev: s.dependency_types.dev || 0,
+      at_release: s.impacted_at_release,
+      now: s.impacted_now,
+      exact_pins: s.exact_pins,
+      unresolvable: s.unresolvable,
+      errors: s.errors,
+    })),
+  );
+}
+
+function cell(v) {
+  return String(v ?? '').replace(/\|/g, '\\|');
+}
+
+function markdownTable(header, rows) {
+  return [
+    `| ${header.map(cell).join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map((r) => `| ${r.map(cell).join(' | ')} |`),
+  ].join('\n');
+}
+
+export function renderSummaryMarkdown(summary, generatedAt = new Date().toISOString()) {
+  const sections = [
+    `# Blast radius summary\n\nGenerated ${generatedAt} by ${pkg.name} ${pkg.version}.`,
+  ];
+  if (summary.length === 0) sections.push('No rows.');
+  for (const s of summary) {
+    const lines = [`## ${s.source_package}@${s.compromised_version || s.source_version}`];
+    if (s.compromised_version !== s.source_version)
+      lines.push(`Version spec: ${s.source_version || '(none)'}`);
+    if (s.advisory_id) lines.push(`Advisory: ${s.advisory_id}`);
+    lines.push(
+      markdownTable(
+        [
+          'Dependents',
+          'Impacted at release',
+          'Impacted now',
+          'Exact pins',
+          'Unresolvable',
+          'Errors',
+        ],
+        [
+          [
+            s.dependents,
+            s.impacted_at_release,
+            s.impacted_now,
+            s.exact_pins,
+            s.unresolvable,
+            s.errors,
+          ],
+        ],
+      ),
+    );
+    const types = Object.entries(s.dependency_types);
+    if (types.length > 0)
+      lines.push('### By dependency type', markdownTable(['Type', 'Dependents'], types));
+    const causes = Object.entries(s.error_causes);
+    if (causes.length > 0) lines.push('### Errors', markdownTable(['Cause', 'Rows'], causes));
+    lines.push(
+      '### Dependent version published, relative to the compromised release',
+      markdownTable(['Published', 'Dependents'], Object.entries(s.published_after_compromise)),
+    );
+    if (s.top_resolved_now.length > 0)
+      lines.push(
+        '### Versions fresh installs resolve to today',
+        markdownTable(
+          ['Version', 'Dependents', 'Compromised'],
+          s.top_resolved_now.map((r) => [r.version, r.dependents, r.compromised ? 'yes' : 'no']),
+        ),
+      );
+    sections.push(lines.join('\n\n'));
+  }
+  return sections.join('\n\n') + '\n';
+}
+
+export async function writeSummary(file, summary) {
+  const generatedAt = new Date().toISOString();
+  const text =
+    summaryFormat(file) === 'md'
+      ? renderSummaryMarkdown(summary, generatedAt)
+      : JSON.stringify(
+          {
+            tool: { name: pkg.name, version: pkg.version },
+            generated_at: generatedAt,
+            sources: summary,
+          },
+          null,
+          2,
+        ) + '\n';
+  await writeFile(file, text);
+}
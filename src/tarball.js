@@ -0,0 +1,129 @@
+import { promisify } from 'node:util';
+import { gunzip as gunzipCb } from 'node:zlib';
+import { DEFAULT_TIMEOUT_MS, fetchBuffer } from './http.js';
+import { parseLockfile } from './lockfiles.js';
+
+const gunzip = promisify(gunzipCb);
+
+// Published tarballs: what a dependent version actually ships for a package, when it fixes it
+// with an npm-shrinkwrap.json or a bundled node_modules copy instead of leaving it to range
+// resolution at install time.
+
+// Sizes beyond which a tarball is not inspected, downloaded and unpacked; both are held in
+// memory
+const MAX_TARBALL_BYTES = 64 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 256 * 1024 * 1024;
+
+function readString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function parsePax(body) {
+  // "<len> key=value\n" records; only the path matters here
+  const out = {};
+  for (const line of body.toString('utf8').split('\n')) {
+    const m = /^\d+ ([^=]+)=(.*)$/.exec(line);
+    if (m) out[m[1]] = m[2];
+  }
+  return out;
+}
+
+export function readTarEntries(tar, wanted) {
+  // Minimal ustar reader (with GNU long names and pax paths). Entry paths drop the tarball's
+  // top directory ("package/" for npm); returns a Map of wanted(path) files to their contents.
+  const out = new Map();
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every((b) => b === 0)) break;
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const body = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+    if (type === 'L') {
+      longName = readString(body, 0, body.length);
+      continue;
+    }
+    if (type === 'x') {
+      longName = parsePax(body).path || longName;
+      continue;
+    }
+    if (type === 'g') continue;
+    let name = longName;
+    longName = null;
+    if (!name) {
+      const prefix = header.toString('utf8', 257, 263).startsWith('ustar')
+        ? readString(header, 345, 155)
+        : '';
+      name = (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    }
+    if (type !== '0' && type !== '\0') continue;
+    const path = name.replace(/^\.?\/*[^/]+\//, '');
+    if (wanted(path)) out.set(path, Buffer.from(body));
+  }
+  return out;
+}
+
+export function needsTarball(manifest) {
+  // Only versions the registry flags as shipping a shrinkwrap, or that bundle dependencies
+  const bundled = manifest?.bundleDependencies ?? manifest?.bundledDependencies;
+  return (
+    manifest?._hasShrinkwrap === true ||
+    bundled === true ||
+    (Array.isArray(bundled) && bundled.length > 0)
+  );
+}
+
+export function shippedVersionIn(files, manifest, targetName) {
+  // Bundled copies win: npm installs what is in the tarball's node_modules as-is. The copy
+  // closest to the package root is the one the package itself loads.
+  const bundled = Array.from(files.keys())
+    .filter((p) => p.endsWith(`node_modules/${targetName}/package.json`))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  for (const p of bundled) {
+    try {
+      const version = JSON.parse(files.get(p).toString('utf8')).version;
+      if (version) return { version, via: 'bundled' };
+    } catch {
+      // unreadable package.json: try the next copy
+    }
+  }
+  const shrinkwrap = files.get('npm-shrinkwrap.json');
+  if (shrinkwrap) {
+    const { instances } = parseLockfile(
+      'npm-shrinkwrap.json',
+      shrinkwrap.toString('utf8'),
+      manifest,
+    );
+    // Dev entries are not installed for consumers of the package
+    const shipped = instances
+      .filter((i) => i.name === targetName && !i.dev)
+      .sort((a, b) => a.path.length - b.path.length)[0];
+    if (shipped) return { version: shipped.version, via: 'shrinkwrap' };
+  }
+  return null;
+}
+
+export async function inspectShipped(manifest, targetName, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  // { version, via: 'bundled' | 'shrinkwrap' } when the version's tarball fixes targetName,
+  // else null. Tarballs are only downloaded for versions where needsTarball() holds.
+  const url = manifest?.dist?.tarball;
+  if (!url || !needsTarball(manifest)) return null;
+  let tar;
+  try {
+    tar = await gunzip(await fetchBuffer(url, 3, timeoutMs, MAX_TARBALL_BYTES), {
+      maxOutputLength: MAX_UNPACKED_BYTES,
+    });
+  } catch (e) {
+    if (e?.code === 'ERR_BUFFER_TOO_LARGE')
+      throw new Error(`Tarball ${url} unpacks to more than ${MAX_UNPACKED_BYTES >> 20} MiB`);
+    throw e;
+  }
+  const files = readTarEntries(
+    tar,
+    (p) => p === 'npm-shrinkwrap.json' || p.endsWith(`node_modules/${targetName}/package.json`),
+  );
+  return shippedVersionIn(files, manifest, targetName);
+}
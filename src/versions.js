@@ -0,0 +1,208 @@
+import semver from 'semver';
+import { declaredSpec, parseSpec, registryTarget } from './specs.js';
+
+export function extractLastUpdate(pkgMeta) {
+  // npm registry returns time.modified or time[version]
+  const t = pkgMeta?.time;
+  return t?.modified || t?.created || null;
+}
+
+export function toDateSafe(s) {
+  if (!s) return null;
+  try {
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : d;
+  } catch {
+    return null;
+  }
+}
+
+export function listVersionDatesFromTimeMap(timeMap) {
+  // Return [{version, date}] excluding created/modified and non-semver versions
+  if (!timeMap) return [];
+  const out = [];
+  for (const [k, v] of Object.entries(timeMap)) {
+    if (k === 'created' || k === 'modified') continue;
+    if (!semver.valid(semver.coerce(k))) continue;
+    const dt = toDateSafe(v);
+    if (dt) out.push({ version: semver.coerce(k).version, date: dt });
+  }
+  // De-dupe by normalized version
+  const seen = new Set();
+  const dedup = [];
+  for (const it of out) {
+    if (!seen.has(it.version)) {
+      seen.add(it.version);
+      dedup.push(it);
+    }
+  }
+  // Sort ascending by date
+  dedup.sort((a, b) => a.date - b.date);
+  return dedup;
+}
+
+export function splitVersionSpec(spec) {
+  // "4.1.1|4.1.2" lists versions; a lone "|" separates entries while "||" stays inside a range.
+  return String(spec || '')
+    .split(/(?<!\|)\|(?!\|)/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function expandCompromisedVersions(spec, timeMap, { keepUnlisted = false } = {}) {
+  // Expand an input version spec (exact versions, "|"-separated lists, semver ranges) into the
+  // concrete versions it names. Exact versions and ranges are matched against every version in
+  // the time map, which also keeps versions that have since been unpublished. Exact versions
+  // are taken as given without a time map (packument not fetched), and with keepUnlisted: a
+  // compromise window dates versions the registry has lost entirely.
+  const known = Object.keys(timeMap || {}).filter((k) => semver.valid(k));
+  const out = new Set();
+  for (const part of splitVersionSpec(spec)) {
+    if (semver.valid(part)) {
+      const version = semver.clean(part);
+      if (!timeMap || keepUnlisted || known.includes(version)) out.add(version);
+      continue;
+    }
+    if (!semver.validRange(part)) continue;
+    for (const v of known) {
+      if (semver.satisfies(v, part, { includePrerelease: true })) out.add(v);
+    }
+  }
+  return Array.from(out).sort(semver.compare);
+}
+
+export function earliestPublishedAt(versions, timeMap) {
+  let earliest = null;
+  for (const v of versions) {
+    const d = toDateSafe(timeMap?.[v]);
+    if (d && (!earliest || d < earliest)) earliest = d;
+  }
+  return earliest ? earliest.toISOString() : '';
+}
+
+export function versionMatchesSpec(version, spec) {
+  // Membership test for an input version spec without a packument: exact entries compare
+  // equal, ranges use satisfies. An empty spec (compromised version unknown) matches any version.
+  const parts = splitVersionSpec(spec);
+  if (parts.length === 0) return true;
+  return parts.some((part) =>
+    semver.valid(part)
+      ? sameVersion(version, part)
+      : !!semver.validRange(part) && semver.satisfies(version, part, { includePrerelease: true }),
+  );
+}
+
+export function isExactPin(range, compromisedVersion) {
+  // Exact pin if the spec (or the spec behind an npm: alias) is a single version: "1.2.3",
+  // "=1.2.3" or "v1.2.3". With a compromised version, it must also be that version.
+  const target = registryTarget(parseSpec(range));
+  if (!range || target?.kind !== 'version') return false;
+  const compromised =
+    semver.valid(compromisedVersion || '') || semver.valid(semver.coerce(compromisedVersion || ''));
+  return compromised ? semver.eq(target.range, compromised) : true;
+}
+
+export function findDependencyRange(pkgMeta, targetName, includeDev = false, includePeer = true) {
+  const latestTag = pkgMeta['dist-tags']?.latest;
+  const versions = pkgMeta.versions || {};
+  const latest = latestTag && versions[latestTag];
+
+  // First try the latest version
+  if (latest) {
+    if (declaredSpec(latest.dependencies, targetName))
+      return {
+        range: declaredSpec(latest.dependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: false,
+        dependencyType: 'dep',
+        matchedVersion: latestTag || '',
+      };
+    if (includePeer && declaredSpec(latest.peerDependencies, targetName))
+      return {
+        range: declaredSpec(latest.peerDependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: false,
+        dependencyType: 'peer',
+        matchedVersion: latestTag || '',
+      };
+    if (includeDev && declaredSpec(latest.devDependencies, targetName))
+      return {
+        range: declaredSpec(latest.devDependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: true,
+        dependencyType: 'dev',
+        matchedVersion: latestTag || '',
+      };
+  }
+
+  // Fallback: scan historical versions from newest to oldest
+  const allVersionKeys = Object.keys(versions).sort((a, b) => {
+    try {
+      return semver.rcompare(semver.coerce(a), semver.coerce(b));
+    } catch {
+      return 0;
+    }
+  });
+  for (const v of allVersionKeys) {
+    const man = versions[v];
+    if (!man) continue;
+    if (declaredSpec(man.dependencies, targetName))
+      return {
+        range: declaredSpec(man.dependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: false,
+        dependencyType: 'dep',
+        matchedVersion: v,
+      };
+    if (includePeer && declaredSpec(man.peerDependencies, targetName))
+      return {
+        range: declaredSpec(man.peerDependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: false,
+        dependencyType: 'peer',
+        matchedVersion: v,
+      };
+    if (includeDev && declaredSpec(man.devDependencies, targetName))
+      return {
+        range: declaredSpec(man.devDependencies, targetName),
+        latestVersion: latestTag || null,
+        isDev: true,
+        dependencyType: 'dev',
+        matchedVersion: v,
+      };
+  }
+  return {
+    range: null,
+    latestVersion: latestTag || null,
+    isDev: false,
+    dependencyType: null,
+    matchedVersion: '',
+  };
+}
+
+export function satisfies(version, range) {
+  // Aliases are checked with their own spec; dist-tags and specs from outside the registry name
+  // no range, so nothing satisfies them
+  const target = registryTarget(parseSpec(range));
+  try {
+    if (!version || !range || !target?.range) return false;
+    return semver.satisfies(semver.coerce(version), target.range, { includePrerelease: true });
+  } catch {
+    return false;
+  }
+}
+
+export function sameVersion(a, b) {
+  try {
+    const ca = semver.coerce(a);
+    const cb = semver.coerce(b);
+    return !!(ca && cb && semver.eq(ca, cb));
+  } catch {
+    return false;
+  }
+}
+
+export function isCompromised(version, compromised) {
+  if (!version || !compromised || compromised.length === 0) return false;
+  return compromised.some((c) => sameVersion(version, c));
+}
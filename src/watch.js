@@ -0,0 +1,286 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import pLimit from 'p-limit';
+import { fetch } from 'undici';
+import { fetchAllDependents } from './discovery.js';
+import { DEFAULT_TIMEOUT_MS, getPackageMetadata } from './http.js';
+import { createResolver } from './resolver.js';
+import { findDependencyRange, isCompromised } from './versions.js';
+
+// Watch mode: re-checks the dependents a previous run found still impacted and reports when a
+// fresh install stops getting a compromised version. Optionally re-runs discovery for the
+// source packages and reports dependents the run did not have. Packuments are fetched again
+// each cycle; with the HTTP cache configured they are revalidated, so unchanged ones cost a 304.
+
+function compromisedOf(row) {
+  return String(row.compromised_versions || '')
+    .split('|')
+    .filter(Boolean);
+}
+
+export function watchTargets(rows) {
+  // Still-impacted dependents, once per source package and path
+  const targets = new Map();
+  for (const row of rows) {
+    if (row.error || row.still_impacted_now !== true || !row.dependent) continue;
+    const path = row.path || `${row.source_package}>${row.dependent}`;
+    const key = `${row.source_package}\u0000${path}`;
+    if (targets.has(key)) continue;
+    targets.set(key, {
+      source_package: row.source_package,
+      source_version: row.source_version,
+      advisory_id: row.advisory_id || '',
+      dependent: row.dependent,
+      path,
+      // The package the dependent declares: the source itself on the first hop
+      parent: path.split('>').at(-2) || row.source_package,
+      dependency_type: row.dependency_type || '',
+      compromised: compromisedOf(row),
+      dependent_latest_version: row.dependent_latest_version || '',
+      dependent_version_range: row.dependent_version_range || '',
+      resolved_now: row.resolved_now || '',
+    });
+  }
+  return targets;
+}
+
+async function assessNow(name, parent, resolver, compromised, dependencyType, timeoutMs) {
+  // What a fresh install of name's latest version gets for parent today
+  const meta = await getPackageMetadata(name, timeoutMs);
+  const found = findDependencyRange(meta, parent, dependencyType === 'dev', true);
+  // An older version still declaring it does not matter to fresh installs
+  const declared = !!found.range && found.matchedVersion === found.latestVersion;
+  const now = declared ? resolver.resolve(found.range, null).now : null;
+  return {
+    latestVersion: found.latestVersion || '',
+    range: declared ? found.range : '',
+    dependencyType: declared ? found.dependencyType : '',
+    resolvedNow: now?.version || '',
+    impacted: isCompromised(now?.version, compromised),
+  };
+}
+
+function remediationReason(target, state) {
+  if (!state.range) return 'dependency-removed';
+  if (state.latestVersion !== target.dependent_latest_version) return 'new-release';
+  // Same release, clean resolution: the parent published a fix or pulled the bad versions
+  return 'source-fixed';
+}
+
+export async function postWebhook(url, event, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(event),
+    signal: globalThis.AbortSignal.timeout(Math.max(1000, timeoutMs)),
+  });
+  if (!res.ok) throw new Error(`Webhook ${url} answered ${res.status} ${res.statusText}`);
+}
+
+export async function watchImpacted(rows, options = {}) {
+  // Polls until options.signal aborts (or after one cycle with once). Events go to onEvent:
+  //   remediated     a watched dependent no longer resolves to a compromised version
+  //   new-dependent  discovery found a dependent of a source package it had not listed before
+  // Failed checks are passed to onError and retried on the next cycle.
+  const {
+    intervalMs = 300000,
+    once = false,
+    discover = true,
+    includeDev = false,
+    includePeer = true,
+    concurrency = 4,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    noLibraries = false,
+    noScrape = false,
+    sources = null,
+    sourcesMode = 'fallback',
+    privatePackages = null,
+    index = null,
+    signal = null,
+    onEvent = null,
+    onError = null,
+    onCycle = null,
+  } = options;
+  const targets = watchTargets(rows);
+  // Everything already reported or discovered per source package, so new dependents are
+  // announced once
+  const known = new Map();
+  // Source packages with a discovery snapshot to compare against
+  const baselined = new Set();
+  const sourceRows = new Map();
+  for (const row of rows) {
+    if (!row.source_package || !row.dependent) continue;
+    if (!known.has(row.source_package)) known.set(row.source_package, new Set());
+    known.get(row.source_package).add(row.dependent);
+    // First-hop rows carry the source package's own compromised versions
+    if (!sourceRows.has(row.source_package) && Number(row.depth || 1) === 1)
+      sourceRows.set(row.source_package, row);
+  }
+  const limit = pLimit(concurrency);
+  const emit = async (event) =>
+    onEvent?.({ event: event.event, at: new Date().toISOString(), ...event });
+  const listDependents = async (source) => {
+    try {
+      const { names } = await fetchAllDependents(source, includeDev, includePeer, 0, false, {
+        noLibraries,
+        noScrape,
+        sources,
+        sourcesMode,
+        privatePackages,
+        timeoutMs,
+        index,
+      });
+      return names;
+    } catch (e) {
+      onError?.(source, e);
+      return null;
+    }
+  };
+  const baseline = (source, names) => {
+    // What discovery lists before watching counts as known: rows of a run made with --max
+    // would otherwise make every dependent beyond it look new
+    baselined.add(source);
+    for (const n of names) known.get(source).add(n);
+  };
+  // Discovery compares against an earlier pass, which --once never gets to
+  const discovering = discover && !once;
+  if (discovering) {
+    for (const source of sourceRows.keys()) {
+      if (signal?.aborted) break;
+      const names = await listDependents(source);
+      if (names) baseline(source, names);
+    }
+  }
+  let cycle = 0;
+
+  while (!signal?.aborted) {
+    cycle++;
+    let remediated = 0;
+    let added = 0;
+    // Parent packuments are shared by every target declaring them; fetched once per cycle
+    const resolvers = new Map();
+    const resolverFor = (name) => {
+      if (!resolvers.has(name))
+        resolvers.set(
+          name,
+          getPackageMetadata(name, timeoutMs).then((meta) => createResolver(meta)),
+        );
+      return resolvers.get(name);
+    };
+
+    await Promise.all(
+      Array.from(targets, ([key, target]) =>
+        limit(async () => {
+          if (signal?.aborted) return;
+          try {
+            const state = await assessNow(
+              target.dependent,
+              target.parent,
+              await resolverFor(target.parent),
+              target.compromised,
+              target.dependency_type,
+              timeoutMs,
+            );
+            if (!state.impacted) {
+              targets.delete(key);
+              remediated++;
+              await emit({
+                event: 'remediated',
+                reason: remediationReason(target, state),
+                source_package: target.source_package,
+                source_version: target.source_version,
+                advisory_id: target.advisory_id,
+                dependent: target.dependent,
+                path: target.path,
+                previous_latest_version: target.dependent_latest_version,
+                previous_version_range: target.dependent_version_range,
+                previous_resolved_now: target.resolved_now,
+                dependent_latest_version: state.latestVersion,
+                dependent_version_range: state.range,
+                resolved_now: state.resolvedNow,
+              });
+            }
+          } catch (e) {
+            onError?.(target.dependent, e);
+          }
+          await delay(50);
+        }),
+      ),
+    );
+
+    if (discovering) {
+      for (const [source, row] of sourceRows) {
+        if (signal?.aborted) break;
+        const names = await listDependents(source);
+        if (!names) continue;
+        // A source whose snapshot failed is baselined by its first successful pass instead
+        if (!baselined.has(source)) {
+          baseline(source, names);
+          continue;
+        }
+        const seen = known.get(source);
+        const fresh = names.filter((n) => !seen.has(n));
+        for (const n of fresh) seen.add(n);
+        const compromised = compromisedOf(row);
+        await Promise.all(
+          fresh.map((name) =>
+            limit(async () => {
+              // Impact of the newcomer today; impacted ones are watched from the next cycle
+              let state = null;
+              try {
+                state = await assessNow(
+                  name,
+                  source,
+                  await resolverFor(source),
+                  compromised,
+                  includeDev ? 'dev' : '',
+                  timeoutMs,
+                );
+              } catch (e) {
+                onError?.(name, e);
+              }
+              added++;
+              const path = `${source}>${name}`;
+              if (state?.impacted)
+                targets.set(`${source}\u0000${path}`, {
+                  source_package: source,
+                  source_version: row.source_version,
+                  advisory_id: row.advisory_id || '',
+                  dependent: name,
+                  path,
+                  parent: source,
+                  dependency_type: state.dependencyType,
+                  compromised,
+                  dependent_latest_version: state.latestVersion,
+                  dependent_version_range: state.range,
+                  resolved_now: state.resolvedNow,
+                });
+              await emit({
+                event: 'new-dependent',
+                source_package: source,
+                source_version: row.source_version,
+                advisory_id: row.advisory_id || '',
+                dependent: name,
+                path,
+                dependent_latest_version: state?.latestVersion || '',
+                dependent_version_range: state?.range || '',
+                resolved_now: state?.resolvedNow || '',
+                still_impacted_now: state ? state.impacted : '',
+              });
+              await delay(50);
+            }),
+          ),
+        );
+      }
+    }
+
+    onCycle?.({ cycle, remediated, added, watching: targets.size });
+    // Without discovery, nothing can change once every dependent is remediated
+    if (once || (!discover && targets.size === 0)) break;
+    try {
+      await delay(intervalMs, undefined, signal ? { signal } : undefined);
+    } catch {
+      break;
+    }
+  }
+  return { cycles: cycle, watching: targets.size };
+}
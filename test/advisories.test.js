@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { readAdvisories, rowsFromAdvisory } from '../src/advisories.js';
+
+const OSV = {
+  id: 'GHSA-osv1-xxxx-xxxx',
+  affected: [
+    {
+      package: { ecosystem: 'npm', name: 'pkg' },
+      ranges: [
+        {
+          type: 'SEMVER',
+          events: [{ introduced: '0' }, { fixed: '1.0.1' }, { introduced: '2.0.0' }],
+        },
+        { type: 'ECOSYSTEM', events: [{ introduced: '1.5.0' }, { last_affected: '1.5.2' }] },
+        { type: 'GIT', events: [{ introduced: 'abc123' }, { fixed: 'def456' }] },
+      ],
+      versions: ['1.5.0', '1.5.1'],
+    },
+    { package: { ecosystem: 'PyPI', name: 'pkg' }, versions: ['1.0.0'] },
+  ],
+};
+
+const GHSA = {
+  ghsa_id: 'GHSA-rest-xxxx-xxxx',
+  vulnerabilities: [
+    {
+      package: { ecosystem: 'npm', name: '@scope/pkg' },
+      vulnerable_version_range: '>= 1.0.0, < 1.2.3',
+    },
+    { package: { ecosystem: 'pip', name: 'other' }, vulnerable_version_range: '< 2.0' },
+  ],
+};
+
+describe('rowsFromAdvisory', () => {
+  it('maps OSV ranges and versions of npm packages', () => {
+    assert.deepEqual(rowsFromAdvisory(OSV), [
+      {
+        package: 'pkg',
+        version: '>=0.0.0-0 <1.0.1|>=2.0.0|>=1.5.0 <=1.5.2|1.5.0|1.5.1',
+        advisory_id: 'GHSA-osv1-xxxx-xxxx',
+      },
+    ]);
+  });
+
+  it('maps GitHub REST exports', () => {
+    assert.deepEqual(rowsFromAdvisory(GHSA), [
+      { package: '@scope/pkg', version: '>=1.0.0 <1.2.3', advisory_id: 'GHSA-rest-xxxx-xxxx' },
+    ]);
+  });
+
+  it('skips withdrawn advisories and unknown documents', () => {
+    assert.deepEqual(rowsFromAdvisory({ ...OSV, withdrawn: '2024-01-01T00:00:00Z' }), []);
+    assert.deepEqual(rowsFromAdvisory({ ...GHSA, withdrawn_at: '2024-01-01T00:00:00Z' }), []);
+    assert.deepEqual(rowsFromAdvisory({ id: 'x' }), []);
+    assert.deepEqual(rowsFromAdvisory(null), []);
+  });
+});
+
+describe('readAdvisories', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'advisories-'));
+    await mkdir(join(dir, '2024', '01'), { recursive: true });
+    await writeFile(join(dir, '2024', '01', 'osv.json'), JSON.stringify(OSV));
+    await writeFile(join(dir, 'list.json'), JSON.stringify([GHSA]));
+    await writeFile(join(dir, 'notes.txt'), 'not an advisory');
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('reads a directory tree of advisories and arrays of them', async () => {
+    const rows = await readAdvisories(dir);
+    assert.deepEqual(
+      rows.map((r) => r.package),
+      ['pkg', '@scope/pkg'],
+    );
+  });
+
+  it('names the file it cannot parse', async () => {
+    const bad = join(dir, 'bad.json');
+    await writeFile(bad, '{');
+    await assert.rejects(readAdvisories(bad), /Failed to parse advisory .*bad\.json/);
+    await rm(bad);
+  });
+});
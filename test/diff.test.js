@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { diffRows, formatTable, summarizeDiff } from '../src/diff.js';
+
+function row(dependent, fields = {}) {
+  return {
+    source_package: 'src',
+    source_version: '1.0.0',
+    advisory_id: '',
+    dependent,
+    still_impacted_now: true,
+    likely_impacted_at_release: true,
+    dependent_latest_version: '1.0.0',
+    dependent_version_range: '^1.0.0',
+    error: '',
+    ...fields,
+  };
+}
+
+const changes = (rows) => Object.fromEntries(rows.map((r) => [r.dependent, r.change]));
+
+describe('diffRows', () => {
+  it('classifies each dependent, removed ones last', () => {
+    const before = [
+      row('fixed'),
+      row('broken', { still_impacted_now: false }),
+      row('bumped'),
+      row('same'),
+      row('gone'),
+    ];
+    const after = [
+      row('new'),
+      row('fixed', { still_impacted_now: false, dependent_latest_version: '2.0.0' }),
+      row('broken'),
+      row('bumped', { dependent_latest_version: '1.1.0' }),
+      row('same'),
+    ];
+    const rows = diffRows(before, after);
+    assert.deepEqual(
+      rows.map((r) => r.dependent),
+      ['new', 'fixed', 'broken', 'bumped', 'same', 'gone'],
+    );
+    assert.deepEqual(changes(rows), {
+      new: 'added',
+      fixed: 'remediated',
+      broken: 'regressed',
+      bumped: 'changed',
+      same: 'unchanged',
+      gone: 'removed',
+    });
+    const fixed = rows.find((r) => r.dependent === 'fixed');
+    assert.equal(fixed.changed_fields, 'still_impacted_now|dependent_latest_version');
+    assert.equal(fixed.before_dependent_latest_version, '1.0.0');
+    assert.equal(fixed.after_dependent_latest_version, '2.0.0');
+    assert.equal(rows.find((r) => r.dependent === 'new').before_still_impacted_now, '');
+  });
+
+  it('folds several rows per dependent', () => {
+    const before = [
+      row('multi', { still_impacted_now: false, dependent_version_range: '^2.0.0' }),
+      row('multi', { dependent_version_range: '^1.0.0' }),
+    ];
+    const after = [row('multi', { still_impacted_now: 'unresolvable' })];
+    const [diff] = diffRows(before, after);
+    assert.equal(diff.before_still_impacted_now, true);
+    assert.equal(diff.before_dependent_version_range, '^1.0.0|^2.0.0');
+    assert.equal(diff.after_still_impacted_now, 'unresolvable');
+    assert.equal(diff.change, 'remediated');
+  });
+
+  it('does not call a failed run a remediation', () => {
+    const [diff] = diffRows([row('flaky')], [row('flaky', { error: 'timeout' })]);
+    assert.equal(diff.change, 'changed');
+    assert.ok(diff.changed_fields.includes('error'));
+  });
+
+  it('matches rows by source package and dependent only', () => {
+    const [diff] = diffRows([row('dep')], [row('dep', { source_version: '1.0.0|1.0.1' })]);
+    assert.equal(diff.change, 'unchanged');
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('counts changes per source package', () => {
+    const rows = diffRows([row('a'), row('b')], [row('b', { still_impacted_now: false })]);
+    assert.deepEqual(summarizeDiff(rows), [
+      {
+        source_package: 'src',
+        added: 0,
+        removed: 1,
+        regressed: 0,
+        remediated: 1,
+        changed: 0,
+        unchanged: 0,
+      },
+    ]);
+  });
+});
+
+describe('formatTable', () => {
+  it('left-aligns text and right-aligns numbers', () => {
+    const table = formatTable([
+      { name: 'a', count: 5 },
+      { name: 'long', count: 10 },
+    ]);
+    assert.equal(table, 'name  count\na         5\nlong     10');
+  });
+});
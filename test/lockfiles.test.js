@@ -0,0 +1,239 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseLockfile } from '../src/lockfiles.js';
+
+const MANIFEST = {
+  name: 'app',
+  dependencies: { a: '^1.0.0' },
+  devDependencies: { d: '^1.0.0' },
+};
+
+function byName(result) {
+  // name@version -> instance, without the location
+  return Object.fromEntries(
+    result.instances.map(({ location, ...rest }) => [`${rest.name}@${rest.version}`, rest]),
+  );
+}
+
+describe('package-lock.json', () => {
+  it('reads v3 packages with their dev/optional flags and nested copies', () => {
+    const lock = {
+      name: 'app',
+      lockfileVersion: 3,
+      packages: {
+        '': MANIFEST,
+        'node_modules/a': { version: '1.0.0', dependencies: { b: '^2.0.0' } },
+        'node_modules/a/node_modules/b': { version: '2.0.0' },
+        'node_modules/b': { version: '1.0.0', dev: true },
+        'node_modules/d': { version: '1.0.0', dev: true, dependencies: { b: '^1.0.0' } },
+        'node_modules/alias': { version: 'npm:real@3.0.0' },
+      },
+    };
+    const result = parseLockfile('package-lock.json', JSON.stringify(lock));
+    assert.equal(result.type, 'package-lock-v3');
+    const found = byName(result);
+    assert.deepEqual(found['b@2.0.0'], {
+      name: 'b',
+      version: '2.0.0',
+      path: ['app', 'a', 'b'],
+      dev: false,
+      optional: false,
+      peer: false,
+    });
+    assert.equal(found['b@1.0.0'].dev, true);
+    assert.deepEqual(found['b@1.0.0'].path, ['app', 'd', 'b']);
+    assert.ok(found['real@3.0.0']);
+  });
+
+  it('flattens v1 dependencies and uses the manifest for roots', () => {
+    const lock = {
+      lockfileVersion: 1,
+      dependencies: {
+        a: {
+          version: '1.0.0',
+          requires: { b: '^2.0.0' },
+          dependencies: { b: { version: '2.0.0' } },
+        },
+        d: { version: '1.0.0', dev: true },
+      },
+    };
+    const result = parseLockfile('npm-shrinkwrap.json', JSON.stringify(lock), MANIFEST);
+    assert.equal(result.type, 'npm-shrinkwrap-v1');
+    const found = byName(result);
+    assert.deepEqual(found['b@2.0.0'].path, ['app', 'a', 'b']);
+    assert.equal(found['d@1.0.0'].dev, true);
+  });
+
+  it('takes top-level v1 entries as roots without a manifest', () => {
+    const lock = { lockfileVersion: 1, dependencies: { a: { version: '1.0.0' } } };
+    const found = byName(parseLockfile('package-lock.json', JSON.stringify(lock), null, 'dir'));
+    assert.deepEqual(found['a@1.0.0'].path, ['dir', 'a']);
+  });
+});
+
+const YARN_CLASSIC = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+a@^1.0.0:
+  version "1.0.0"
+  resolved "https://registry.yarnpkg.com/a/-/a-1.0.0.tgz"
+  dependencies:
+    b "^2.0.0"
+  optionalDependencies:
+    o "^1.0.0"
+
+"b@^1.0.0", b@^2.0.0:
+  version "2.0.0"
+
+d@^1.0.0:
+  version "1.0.0"
+  dependencies:
+    b "^1.0.0"
+
+o@^1.0.0:
+  version "1.0.0"
+`;
+
+describe('yarn.lock', () => {
+  it('reads classic lockfiles against the manifest', () => {
+    const result = parseLockfile('yarn.lock', YARN_CLASSIC, MANIFEST);
+    assert.equal(result.type, 'yarn-classic');
+    const found = byName(result);
+    // Reachable from a prod dependency, so not dev even though d also uses it
+    assert.deepEqual(found['b@2.0.0'].path, ['app', 'a', 'b']);
+    assert.equal(found['b@2.0.0'].dev, false);
+    assert.equal(found['d@1.0.0'].dev, true);
+    assert.equal(found['o@1.0.0'].optional, true);
+  });
+
+  it('takes unreferenced entries as prod roots without a manifest', () => {
+    const found = byName(parseLockfile('yarn.lock', YARN_CLASSIC, null, 'dir'));
+    assert.equal(found['d@1.0.0'].dev, false);
+    assert.deepEqual(found['d@1.0.0'].path, ['dir', 'd']);
+    assert.equal(found['o@1.0.0'].optional, true);
+  });
+
+  it('reads berry lockfiles through their workspace entries', () => {
+    const berry = `__metadata:
+  version: 6
+  cacheKey: 8
+
+"a@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "a@npm:1.0.0"
+  dependencies:
+    b: ^2.0.0
+
+"b@npm:^2.0.0":
+  version: 2.0.0
+  resolution: "b@npm:2.0.0"
+
+"d@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "d@npm:1.0.0"
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    a: ^1.0.0
+    d: ^1.0.0
+  languageName: unknown
+  linkType: soft
+`;
+    const result = parseLockfile('yarn.lock', berry, MANIFEST);
+    assert.equal(result.type, 'yarn-berry');
+    const found = byName(result);
+    assert.deepEqual(Object.keys(found).sort(), ['a@1.0.0', 'b@2.0.0', 'd@1.0.0']);
+    assert.deepEqual(found['b@2.0.0'].path, ['app', 'a', 'b']);
+    assert.equal(found['d@1.0.0'].dev, true);
+  });
+});
+
+describe('pnpm-lock.yaml', () => {
+  it('reads v9 importers and snapshots', () => {
+    const lock = `lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      a:
+        specifier: ^1.0.0
+        version: 1.0.0
+    devDependencies:
+      d:
+        specifier: ^1.0.0
+        version: 1.0.0
+
+packages:
+  a@1.0.0:
+    resolution: {integrity: sha512-a}
+  b@2.0.0:
+    resolution: {integrity: sha512-b}
+  d@1.0.0:
+    resolution: {integrity: sha512-d}
+
+snapshots:
+  a@1.0.0:
+    dependencies:
+      b: 2.0.0
+  b@2.0.0: {}
+  d@1.0.0: {}
+`;
+    const result = parseLockfile('pnpm-lock.yaml', lock, MANIFEST);
+    assert.equal(result.type, 'pnpm-v9.0');
+    const found = byName(result);
+    assert.deepEqual(found['b@2.0.0'].path, ['app', 'a', 'b']);
+    assert.equal(found['d@1.0.0'].dev, true);
+  });
+
+  it('reads v5 keys and their dev flags', () => {
+    const lock = `lockfileVersion: 5.4
+
+specifiers:
+  a: ^1.0.0
+
+dependencies:
+  a: 1.0.0
+
+packages:
+  /a/1.0.0:
+    resolution: {integrity: sha512-a}
+    dependencies:
+      '@scope/b': 2.0.0_c@1.0.0
+    dev: false
+  /@scope/b/2.0.0_c@1.0.0:
+    resolution: {integrity: sha512-b}
+    dev: false
+`;
+    const found = byName(parseLockfile('pnpm-lock.yaml', lock, MANIFEST));
+    assert.deepEqual(found['@scope/b@2.0.0'].path, ['app', 'a', '@scope/b']);
+    assert.equal(found['@scope/b@2.0.0'].dev, false);
+  });
+
+  it('takes unreferenced entries as prod roots without importers', () => {
+    const lock = `lockfileVersion: '9.0'
+
+snapshots:
+  a@1.0.0:
+    dependencies:
+      b: 2.0.0
+  b@2.0.0:
+    optionalDependencies:
+      o: 1.0.0
+  o@1.0.0: {}
+`;
+    const found = byName(parseLockfile('pnpm-lock.yaml', lock, null, 'dir'));
+    assert.deepEqual(found['b@2.0.0'].path, ['dir', 'a', 'b']);
+    assert.equal(found['a@1.0.0'].dev, false);
+    assert.equal(found['b@2.0.0'].dev, false);
+    assert.equal(found['o@1.0.0'].optional, true);
+  });
+});
+
+describe('parseLockfile', () => {
+  it('rejects unknown file names', () => {
+    assert.throws(() => parseLockfile('bun.lockb', ''), /Unsupported lockfile: bun.lockb/);
+  });
+});
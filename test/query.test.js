@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { compareBy, compileQuery, compileWhere, selectColumns } from '../src/query.js';
+
+const SCHEMA = {
+  fields: ['dependent', 'impacted', 'downloads', 'type', 'error'],
+  defaults: { dependent: '', impacted: false, downloads: '', type: '', error: '' },
+};
+
+const ROWS = [
+  { dependent: 'a', impacted: true, downloads: 5000, type: 'dep', error: '' },
+  { dependent: '@acme/b', impacted: 'unresolvable', downloads: 20, type: 'dev', error: '' },
+  { dependent: 'c', impacted: false, downloads: '', type: 'peer', error: 'timeout' },
+  { dependent: 'd', impacted: true, downloads: 900, type: 'dev', error: '' },
+];
+
+const where = (expr) => ROWS.filter(compileWhere(expr, SCHEMA)).map((r) => r.dependent);
+
+describe('compileWhere', () => {
+  it('treats a bare boolean column as true only when it holds true', () => {
+    assert.deepEqual(where('impacted'), ['a', 'd']);
+    assert.deepEqual(where('!impacted'), ['@acme/b', 'c']);
+  });
+
+  it('treats other bare columns as set when non-empty', () => {
+    assert.deepEqual(where('error'), ['c']);
+    assert.deepEqual(where('downloads && !error'), ['a', '@acme/b', 'd']);
+  });
+
+  it('follows precedence and parentheses', () => {
+    assert.deepEqual(where("impacted && type != 'dev' || downloads < 100"), ['a', '@acme/b']);
+    assert.deepEqual(where("impacted && (type != 'dev' || downloads < 1000)"), ['a', 'd']);
+  });
+
+  it('compares numbers numerically and leaves empty values out of orderings', () => {
+    assert.deepEqual(where('downloads >= 900'), ['a', 'd']);
+    assert.deepEqual(where('downloads < 1e9'), ['a', '@acme/b', 'd']);
+    assert.deepEqual(where('downloads == null'), ['c']);
+  });
+
+  it('matches regular expressions', () => {
+    assert.deepEqual(where("dependent =~ '^@acme/'"), ['@acme/b']);
+    assert.deepEqual(where('dependent !~ "^[ab]"'), ['@acme/b', 'c', 'd']);
+  });
+
+  it('reports unknown columns and syntax errors', () => {
+    assert.throws(() => compileWhere('nope', SCHEMA), /--where: unknown column "nope"/);
+    assert.throws(() => compileWhere('(impacted', SCHEMA), /expected "\)" at the end/);
+    assert.throws(() => compileWhere("type == 'dev", SCHEMA), /unterminated string at 9/);
+    assert.throws(() => compileWhere('impacted;', SCHEMA), /unexpected ";" at 9/);
+    assert.throws(() => compileWhere('dependent =~ type', SCHEMA), /needs a string literal/);
+    assert.throws(() => compileWhere("dependent =~ '['", SCHEMA), /invalid regular expression/);
+    assert.throws(() => compileWhere('  ', SCHEMA), /empty expression/);
+  });
+});
+
+describe('compareBy', () => {
+  const sorted = (spec) => [...ROWS].sort(compareBy(spec, SCHEMA)).map((r) => r.dependent);
+
+  it('sorts numbers numerically with empty values last', () => {
+    assert.deepEqual(sorted('downloads'), ['@acme/b', 'd', 'a', 'c']);
+    assert.deepEqual(sorted('downloads:desc'), ['a', 'd', '@acme/b', 'c']);
+  });
+
+  it('breaks ties with the next key', () => {
+    assert.deepEqual(sorted('type:desc, dependent:desc'), ['c', 'd', '@acme/b', 'a']);
+  });
+
+  it('rejects unknown columns and directions', () => {
+    assert.throws(() => compareBy('nope', SCHEMA), /--sort: unknown column "nope"/);
+    assert.throws(() => compareBy('type:up', SCHEMA), /unknown direction "up"/);
+    assert.throws(() => compareBy(' , ', SCHEMA), /no columns given/);
+  });
+});
+
+describe('selectColumns', () => {
+  it('validates the list against the schema', () => {
+    assert.deepEqual(selectColumns('dependent, type', SCHEMA), ['dependent', 'type']);
+    assert.throws(() => selectColumns('dependent,nope', SCHEMA), /--columns: unknown column/);
+    assert.throws(() => selectColumns('', SCHEMA), /no columns given/);
+  });
+});
+
+describe('compileQuery', () => {
+  it('leaves options that are not given null', () => {
+    const query = compileQuery({ sort: 'dependent' }, SCHEMA);
+    assert.equal(query.filter, null);
+    assert.equal(query.columns, null);
+    assert.equal(typeof query.compare, 'function');
+  });
+});
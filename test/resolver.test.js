@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createResolver, impactedVersionsOf } from '../src/resolver.js';
+
+// 1.3.0 was unpublished (still in time, gone from versions), 1.2.1 is deprecated and 2.0.0 was
+// published under the next tag
+const PACKUMENT = {
+  'dist-tags': { latest: '1.2.1', next: '2.0.0', beta: '3.0.0' },
+  versions: {
+    '1.0.0': {},
+    '1.1.0': {},
+    '1.2.0': {},
+    '1.2.1': { deprecated: 'broken' },
+    '1.4.0-rc.1': {},
+    '2.0.0': {},
+  },
+  time: {
+    created: '2024-01-01T00:00:00.000Z',
+    '1.0.0': '2024-01-01T00:00:00.000Z',
+    '1.1.0': '2024-02-01T00:00:00.000Z',
+    '1.2.0': '2024-03-01T00:00:00.000Z',
+    '1.2.1': '2024-04-01T00:00:00.000Z',
+    '1.3.0': '2024-05-01T00:00:00.000Z',
+    '1.4.0-rc.1': '2024-06-01T00:00:00.000Z',
+    '2.0.0': '2024-07-01T00:00:00.000Z',
+  },
+};
+
+const at = (iso) => new Date(iso);
+
+describe('createResolver', () => {
+  const resolver = createResolver(PACKUMENT);
+
+  it('orders the timeline by date, unpublished versions included', () => {
+    assert.deepEqual(
+      resolver.timeline.map((t) => t.version),
+      ['1.0.0', '1.1.0', '1.2.0', '1.2.1', '1.3.0', '1.4.0-rc.1', '2.0.0'],
+    );
+  });
+
+  describe('now', () => {
+    it('avoids a deprecated latest while anything else satisfies', () => {
+      const { version, notes } = resolver.now('^1.0.0');
+      assert.equal(version, '1.2.0');
+      assert.ok(notes.includes('deprecated 1.2.1 skipped'));
+      assert.ok(notes.includes('1.3.0 unpublished'));
+    });
+
+    it('falls back to a deprecated version when nothing else satisfies', () => {
+      assert.deepEqual(resolver.now('~1.2.1'), {
+        version: '1.2.1',
+        notes: ['only deprecated versions satisfy the range'],
+      });
+    });
+
+    it('notes a prerelease the range does not match', () => {
+      const { version, notes } = resolver.now('>=1.3.0 <2.0.0');
+      assert.equal(version, null);
+      assert.ok(notes.includes('prerelease 1.4.0-rc.1 not matched by the range'));
+    });
+
+    it('rejects what is not a semver range', () => {
+      assert.deepEqual(resolver.now('nope'), { version: null, notes: ['not a semver range'] });
+    });
+
+    it('returns fresh notes on repeated calls', () => {
+      resolver.now('^1.0.0').notes.push('mutated');
+      assert.ok(!resolver.now('^1.0.0').notes.includes('mutated'));
+    });
+  });
+
+  describe('at', () => {
+    it('only considers versions out by then', () => {
+      assert.equal(resolver.at('^1.0.0', at('2024-02-15T00:00:00Z')).version, '1.1.0');
+    });
+
+    it('includes versions unpublished since', () => {
+      assert.equal(resolver.at('^1.0.0', at('2024-05-15T00:00:00Z')).version, '1.3.0');
+    });
+
+    it('infers the latest tag from releases out by then', () => {
+      const { version, notes } = resolver.at('*', at('2024-07-15T00:00:00Z'));
+      // 2.0.0 is live above today's latest, so it went out under another tag
+      assert.equal(version, '1.3.0');
+      assert.ok(notes.includes('latest tag 1.3.0 (inferred) preferred over 2.0.0'));
+    });
+
+    it('dates compromised versions missing from the timeline by the window', () => {
+      const window = { from: at('2024-03-15T00:00:00Z'), until: at('2024-03-20T00:00:00Z') };
+      const options = { compromised: ['1.2.9'], window };
+      assert.equal(resolver.at('^1.0.0', at('2024-03-16T00:00:00Z'), options).version, '1.2.9');
+      // Pulled after the window
+      assert.equal(resolver.at('^1.0.0', at('2024-03-25T00:00:00Z'), options).version, '1.2.0');
+    });
+
+    it('needs a range and a date', () => {
+      assert.deepEqual(resolver.at('^1.0.0', null), { version: null, notes: [] });
+    });
+  });
+
+  describe('tags', () => {
+    it('installs what a tag points to today', () => {
+      assert.deepEqual(resolver.tagNow('next'), { version: '2.0.0', notes: [] });
+      assert.equal(resolver.tagNow('beta').version, null);
+      assert.deepEqual(resolver.tagNow('missing').notes, ['no dist-tag missing']);
+    });
+
+    it('infers latest at a past date and takes other tags as today', () => {
+      assert.deepEqual(resolver.tagAt('latest', at('2024-02-15T00:00:00Z')), {
+        version: '1.1.0',
+        notes: ['latest tag inferred as 1.1.0'],
+      });
+      assert.equal(resolver.tagAt('next', at('2024-07-15T00:00:00Z')).version, '2.0.0');
+      assert.equal(resolver.tagAt('next', at('2024-06-15T00:00:00Z')).version, null);
+    });
+  });
+
+  describe('resolve', () => {
+    it('resolves ranges, tags and aliases both ways', () => {
+      const when = at('2024-02-15T00:00:00Z');
+      const range = resolver.resolve('^1.0.0', when);
+      assert.equal(range.kind, 'range');
+      assert.equal(range.atRelease.version, '1.1.0');
+      assert.equal(range.now.version, '1.2.0');
+      assert.equal(resolver.resolve('next', when).now.version, '2.0.0');
+      const alias = resolver.resolve('npm:pkg@~1.1.0', when);
+      assert.equal(alias.kind, 'alias');
+      assert.equal(alias.now.version, '1.1.0');
+    });
+
+    it('leaves specs from outside the registry unresolved', () => {
+      assert.deepEqual(resolver.resolve('github:user/repo', null), {
+        kind: 'git',
+        atRelease: null,
+        now: null,
+      });
+    });
+  });
+});
+
+describe('impactedVersionsOf', () => {
+  const target = createResolver(PACKUMENT);
+  const dependent = {
+    versions: {
+      '1.0.0': { dependencies: { pkg: '~1.0.0' } },
+      '2.0.0': { dependencies: { pkg: '^1.1.0' } },
+      '3.0.0': { peerDependencies: { pkg: '^1.1.0' } },
+      '4.0.0': { devDependencies: { pkg: '^1.1.0' } },
+    },
+    time: {
+      '1.0.0': '2024-01-15T00:00:00.000Z',
+      '2.0.0': '2024-02-15T00:00:00.000Z',
+      '3.0.0': '2024-02-15T00:00:00.000Z',
+      '4.0.0': '2024-02-15T00:00:00.000Z',
+    },
+  };
+
+  it('lists versions resolving to a compromised version at release or now', () => {
+    assert.deepEqual(impactedVersionsOf(dependent, 'pkg', target, ['1.1.0'], true), [
+      '2.0.0',
+      '3.0.0',
+    ]);
+    assert.deepEqual(impactedVersionsOf(dependent, 'pkg', target, ['1.2.0'], false), ['2.0.0']);
+  });
+});
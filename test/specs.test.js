@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { aliasedName, declaredSpec, parseSpec, registryTarget } from '../src/specs.js';
+
+describe('parseSpec', () => {
+  it('classifies registry specs', () => {
+    assert.deepEqual(parseSpec('1.2.3'), { kind: 'version', range: '1.2.3' });
+    assert.deepEqual(parseSpec('v1.2.3'), { kind: 'version', range: '1.2.3' });
+    assert.deepEqual(parseSpec('^1.2.3'), { kind: 'range', range: '^1.2.3' });
+    assert.deepEqual(parseSpec('>=1 <2 || 3.x'), { kind: 'range', range: '>=1 <2 || 3.x' });
+    assert.deepEqual(parseSpec('next'), { kind: 'tag', tag: 'next' });
+  });
+
+  it('reads an empty spec as any version', () => {
+    assert.deepEqual(parseSpec(''), { kind: 'range', range: '*' });
+    assert.deepEqual(parseSpec(undefined), { kind: 'range', range: '*' });
+  });
+
+  it('parses npm: aliases, scoped ones included', () => {
+    assert.deepEqual(parseSpec('npm:other@^2.0.0'), {
+      kind: 'alias',
+      name: 'other',
+      spec: { kind: 'range', range: '^2.0.0' },
+    });
+    assert.deepEqual(parseSpec('npm:@scope/pkg@1.0.0'), {
+      kind: 'alias',
+      name: '@scope/pkg',
+      spec: { kind: 'version', range: '1.0.0' },
+    });
+    assert.deepEqual(parseSpec('npm:@scope/pkg').spec, { kind: 'range', range: '*' });
+  });
+
+  it('rejects aliases of specs from outside the registry', () => {
+    assert.equal(parseSpec('npm:other@github:user/repo').kind, 'invalid');
+    assert.equal(parseSpec('npm:').kind, 'invalid');
+  });
+
+  it('classifies specs the registry cannot resolve', () => {
+    assert.equal(parseSpec('workspace:^').kind, 'workspace');
+    assert.equal(parseSpec('link:../pkg').kind, 'link');
+    assert.equal(parseSpec('file:../pkg').kind, 'file');
+    assert.equal(parseSpec('./pkg').kind, 'file');
+    assert.equal(parseSpec('~/pkg').kind, 'file');
+    assert.equal(parseSpec('git+https://github.com/user/repo.git').kind, 'git');
+    assert.equal(parseSpec('github:user/repo#v1').kind, 'git');
+    assert.equal(parseSpec('https://github.com/user/repo').kind, 'git');
+    assert.equal(parseSpec('user/repo#main').kind, 'git');
+    assert.equal(parseSpec('https://example.com/pkg.tgz').kind, 'tarball');
+  });
+
+  it('does not take version-like garbage for a tag', () => {
+    assert.equal(parseSpec('1.2.3.4.5').kind, 'invalid');
+    assert.equal(parseSpec('not a tag').kind, 'invalid');
+  });
+});
+
+describe('registryTarget', () => {
+  it('is the aliased spec for an alias and null outside the registry', () => {
+    assert.deepEqual(registryTarget(parseSpec('npm:other@latest')), { kind: 'tag', tag: 'latest' });
+    assert.deepEqual(registryTarget(parseSpec('~1.0.0')), { kind: 'range', range: '~1.0.0' });
+    assert.equal(registryTarget(parseSpec('file:../x')), null);
+    assert.equal(registryTarget(null), null);
+  });
+});
+
+describe('aliasedName', () => {
+  it('names the package an alias installs', () => {
+    assert.equal(aliasedName('npm:@scope/pkg@^1'), '@scope/pkg');
+    assert.equal(aliasedName('^1.0.0'), null);
+  });
+});
+
+describe('declaredSpec', () => {
+  it('takes the spec under the package name', () => {
+    assert.equal(declaredSpec({ target: '^1.0.0' }, 'target'), '^1.0.0');
+    assert.equal(declaredSpec({ target: 'npm:target@^1.0.0' }, 'target'), 'npm:target@^1.0.0');
+  });
+
+  it('finds a key aliasing the package', () => {
+    assert.equal(declaredSpec({ renamed: 'npm:target@2.0.0' }, 'target'), 'npm:target@2.0.0');
+  });
+
+  it('skips a key of that name aliasing another package', () => {
+    assert.equal(declaredSpec({ target: 'npm:other@1.0.0' }, 'target'), null);
+  });
+
+  it('is null without a map', () => {
+    assert.equal(declaredSpec(null, 'target'), null);
+    assert.equal(declaredSpec({}, 'target'), null);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  expandCompromisedVersions,
+  isCompromised,
+  isExactPin,
+  satisfies,
+  splitVersionSpec,
+  versionMatchesSpec,
+} from '../src/versions.js';
+
+const TIME = {
+  created: '2024-01-01T00:00:00.000Z',
+  modified: '2024-06-01T00:00:00.000Z',
+  '1.0.0': '2024-01-01T00:00:00.000Z',
+  '1.1.0': '2024-02-01T00:00:00.000Z',
+  '1.1.1': '2024-03-01T00:00:00.000Z',
+  '2.0.0-beta.1': '2024-04-01T00:00:00.000Z',
+  '2.0.0': '2024-05-01T00:00:00.000Z',
+};
+
+describe('splitVersionSpec', () => {
+  it('splits on a lone "|" and keeps "||" inside a range', () => {
+    assert.deepEqual(splitVersionSpec('1.0.0|1.1.0'), ['1.0.0', '1.1.0']);
+    assert.deepEqual(splitVersionSpec('1.0.0 || 2.0.0'), ['1.0.0 || 2.0.0']);
+    assert.deepEqual(splitVersionSpec('1.0.0|>=2.0.0 || <0.1.0'), ['1.0.0', '>=2.0.0 || <0.1.0']);
+  });
+
+  it('drops blanks', () => {
+    assert.deepEqual(splitVersionSpec(' 1.0.0 | |'), ['1.0.0']);
+    assert.deepEqual(splitVersionSpec(''), []);
+    assert.deepEqual(splitVersionSpec(null), []);
+  });
+});
+
+describe('expandCompromisedVersions', () => {
+  it('expands ranges against the time map, prereleases included', () => {
+    assert.deepEqual(expandCompromisedVersions('>=1.1.0', TIME), [
+      '1.1.0',
+      '1.1.1',
+      '2.0.0-beta.1',
+      '2.0.0',
+    ]);
+    assert.deepEqual(expandCompromisedVersions('~1.1.0|1.0.0', TIME), ['1.0.0', '1.1.0', '1.1.1']);
+  });
+
+  it('drops exact versions the registry never listed', () => {
+    assert.deepEqual(expandCompromisedVersions('1.1.1|9.9.9', TIME), ['1.1.1']);
+  });
+
+  it('keeps unlisted exact versions with keepUnlisted', () => {
+    assert.deepEqual(expandCompromisedVersions('1.1.1|9.9.9', TIME, { keepUnlisted: true }), [
+      '1.1.1',
+      '9.9.9',
+    ]);
+  });
+
+  it('takes exact versions as given without a time map, and no range matches', () => {
+    assert.deepEqual(expandCompromisedVersions('v1.2.3|^1.0.0', null), ['1.2.3']);
+  });
+
+  it('ignores invalid parts and the created/modified keys', () => {
+    assert.deepEqual(expandCompromisedVersions('nonsense|modified', TIME), []);
+  });
+});
+
+describe('versionMatchesSpec', () => {
+  it('compares exact entries and checks ranges', () => {
+    assert.equal(versionMatchesSpec('1.1.0', '1.0.0|1.1.0'), true);
+    assert.equal(versionMatchesSpec('1.2.0', '1.0.0|1.1.0'), false);
+    assert.equal(versionMatchesSpec('2.0.0-beta.1', '>=2.0.0-0'), true);
+  });
+
+  it('matches anything when the spec is empty', () => {
+    assert.equal(versionMatchesSpec('3.0.0', ''), true);
+  });
+});
+
+describe('isExactPin', () => {
+  it('recognises single-version specs, aliases included', () => {
+    assert.equal(isExactPin('1.2.3'), true);
+    assert.equal(isExactPin('=1.2.3'), true);
+    assert.equal(isExactPin('npm:other@1.2.3'), true);
+    assert.equal(isExactPin('^1.2.3'), false);
+    assert.equal(isExactPin('latest'), false);
+  });
+
+  it('must name the compromised version when one is given', () => {
+    assert.equal(isExactPin('1.2.3', '1.2.3'), true);
+    assert.equal(isExactPin('1.2.3', '1.2.4'), false);
+  });
+});
+
+describe('satisfies', () => {
+  it('checks aliases with their own spec', () => {
+    assert.equal(satisfies('1.5.0', 'npm:other@^1.0.0'), true);
+    assert.equal(satisfies('2.0.0', 'npm:other@^1.0.0'), false);
+  });
+
+  it('never matches tags or specs from outside the registry', () => {
+    assert.equal(satisfies('1.0.0', 'latest'), false);
+    assert.equal(satisfies('1.0.0', 'github:user/repo'), false);
+    assert.equal(satisfies('1.0.0', 'file:../x'), false);
+  });
+});
+
+describe('isCompromised', () => {
+  it('compares coerced versions', () => {
+    assert.equal(isCompromised('v1.0.0', ['1.0.0']), true);
+    assert.equal(isCompromised('1.0.1', ['1.0.0']), false);
+    assert.equal(isCompromised('', ['1.0.0']), false);
+    assert.equal(isCompromised('1.0.0', []), false);
+  });
+});